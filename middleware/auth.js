@@ -1,6 +1,8 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { findActiveSession } = require('../utils/tokens');
+const { getAccountRestriction } = require('../utils/moderation');
 
 module.exports = async (req, res, next) => {
   try {
@@ -19,6 +21,16 @@ module.exports = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Reject tokens whose session was logged out or revoked
+    const session = decoded.sid && await findActiveSession(decoded.sid, decoded.id);
+    
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+    
     // Find user
     const user = await User.findById(decoded.id);
     
@@ -29,8 +41,18 @@ module.exports = async (req, res, next) => {
       });
     }
     
-    // Set user in request
+    // Suspended and banned users are turned away
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        message: restriction
+      });
+    }
+    
+    // Set user and session in request
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -0,0 +1,71 @@
+const store = require('../utils/rateLimitStore');
+
+const MINUTE = 60 * 1000;
+
+function limit(name, max, windowMinutes) {
+  return {
+    max: parseInt(process.env[`RATE_LIMIT_${name}_MAX`], 10) || max,
+    windowMs: (parseInt(process.env[`RATE_LIMIT_${name}_WINDOW_MINUTES`], 10) || windowMinutes) * MINUTE
+  };
+}
+
+// Requests allowed per window for each limited action. Each can be
+// configured from the environment, e.g. RATE_LIMIT_LOGIN_MAX and
+// RATE_LIMIT_LOGIN_WINDOW_MINUTES.
+const LIMITS = {
+  login: limit('LOGIN', 10, 15),
+  register: limit('REGISTER', 5, 60),
+  refresh: limit('REFRESH', 30, 15),
+  // Verification and password reset emails
+  email: limit('EMAIL', 5, 60),
+  tweet: limit('TWEET', 50, 15),
+  like: limit('LIKE', 200, 15),
+  retweet: limit('RETWEET', 100, 15),
+  follow: limit('FOLLOW', 100, 15),
+  message: limit('MESSAGE', 100, 15),
+  report: limit('REPORT', 20, 60),
+  upload: limit('UPLOAD', 30, 15),
+  export: limit('EXPORT', 5, 24 * 60)
+};
+
+// Limit requests to the `name` entry of LIMITS. Requests are counted per
+// user when used after auth, and per IP address otherwise. Answers 429
+// with Retry-After once the limit is reached; every response carries the
+// X-RateLimit-* headers.
+module.exports = name => {
+  const { max, windowMs } = LIMITS[name] || {};
+  if (!max) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+
+  return async (req, res, next) => {
+    const client = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+    let hits;
+    try {
+      hits = await store.increment(`rate:${name}:${client}`, windowMs);
+    } catch (error) {
+      // Don't take the API down with the store
+      console.error(error);
+      return next();
+    }
+
+    res.set({
+      'X-RateLimit-Limit': max,
+      'X-RateLimit-Remaining': Math.max(0, max - hits.count),
+      'X-RateLimit-Reset': Math.ceil(hits.resetAt / 1000)
+    });
+
+    if (hits.count > max) {
+      res.set('Retry-After', Math.max(1, Math.ceil((hits.resetAt - Date.now()) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many requests, please try again later'
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports.LIMITS = LIMITS;
@@ -0,0 +1,13 @@
+const { hasRole } = require('../utils/moderation');
+
+// Only let through users with at least `role` ('moderator' or 'admin').
+// Use after auth.
+module.exports = role => (req, res, next) => {
+  if (!hasRole(req.user, role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+  next();
+};
@@ -0,0 +1,41 @@
+const multer = require('multer');
+
+const MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single image in `field`, answering 400 for bad uploads.
+// The declared type is only a first check; utils/media sniffs the content.
+module.exports = (field = 'file') => (req, res, next) => {
+  upload.single(field)(req, res, err => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Image must be at most ${Math.round(MAX_BYTES / 1024 / 1024)} MB`
+        : `Upload a single JPEG, PNG, WebP or GIF image as "${field}"`;
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+    if (err) {
+      return next(err);
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: `No image uploaded as "${field}"`
+      });
+    }
+    next();
+  });
+};
@@ -0,0 +1,18 @@
+// Actions unverified accounts may not take, as a comma separated list of
+// 'tweet', 'message', 'follow', 'like', 'retweet', 'report' and 'upload'
+const UNVERIFIED_RESTRICTIONS = (process.env.UNVERIFIED_RESTRICTIONS || 'message')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+// Turn away users who haven't verified their email address, if `action`
+// is restricted for them. Use after auth.
+module.exports = action => (req, res, next) => {
+  if (!req.user.emailVerified && UNVERIFIED_RESTRICTIONS.includes(action)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first'
+    });
+  }
+  next();
+};
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A tweet saved privately by a user
+const BookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+BookmarkSchema.index({ user: 1, tweet: 1 }, { unique: true });
+BookmarkSchema.index({ user: 1, createdAt: -1 });
+BookmarkSchema.index({ tweet: 1 });
+
+module.exports = mongoose.model('Bookmark', BookmarkSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const ConversationSchema = new mongoose.Schema({
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isGroup: {
+    type: Boolean,
+    default: false
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Read receipts: the last message each participant has seen
+  readBy: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    // createdAt of `message`, used to count unread messages
+    messageAt: {
+      type: Date
+    },
+    readAt: {
+      type: Date
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+ConversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// An unpublished tweet. Drafts with `scheduledAt` are published by the
+// scheduler (see utils/drafts.js) once that time has passed.
+const DraftSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    trim: true,
+    maxlength: 280,
+    default: ''
+  },
+  // Uploaded images, resolved into tweet media on publish
+  media: [{
+    _id: false,
+    media: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Media'
+    },
+    altText: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: ''
+    }
+  }],
+  replyToId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet'
+  },
+  quoteTweetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet'
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'publishing', 'failed'],
+    default: 'draft'
+  },
+  scheduledAt: Date,
+  // Set when a scheduler instance claims the post for publishing
+  lockedAt: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Id reserved for the published tweet, so a retried publish can tell
+  // that an earlier attempt already went through
+  tweetId: mongoose.Schema.Types.ObjectId,
+  // Why the last publish attempt failed
+  error: String
+}, {
+  timestamps: true
+});
+
+DraftSchema.index({ user: 1, status: 1, updatedAt: -1 });
+DraftSchema.index({ status: 1, scheduledAt: 1 });
+
+module.exports = mongoose.model('Draft', DraftSchema);
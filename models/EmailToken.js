@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A single-use token emailed to a user to verify their address or reset
+// their password. Only the hash of the token is kept.
+const EmailTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['verify_email', 'reset_password'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+EmailTokenSchema.index({ user: 1, type: 1 });
+// Expired tokens are removed by MongoDB
+EmailTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EmailToken', EmailTokenSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// `follower` follows `followee`. User.followersCount and followingCount
+// count them.
+const FollowSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  followee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+FollowSchema.index({ follower: 1, followee: 1 }, { unique: true });
+// Who a user follows, and who follows a user, most recent first
+FollowSchema.index({ follower: 1, createdAt: -1, _id: -1 });
+FollowSchema.index({ followee: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Follow', FollowSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Pending request to follow a protected account
+const FollowRequestSchema = new mongoose.Schema({
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+FollowRequestSchema.index({ from: 1, to: 1 }, { unique: true });
+FollowRequestSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FollowRequest', FollowRequestSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A user liking a tweet. Tweet.likesCount counts them.
+const LikeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+LikeSchema.index({ user: 1, tweet: 1 }, { unique: true });
+// A user's likes, most recent first
+LikeSchema.index({ user: 1, createdAt: -1, _id: -1 });
+LikeSchema.index({ tweet: 1 });
+
+module.exports = mongoose.model('Like', LikeSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A named group of users with its own timeline. Private lists are only
+// visible to their owner.
+const ListSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 160,
+    default: ''
+  },
+  private: {
+    type: Boolean,
+    default: false
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  subscribers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+ListSchema.index({ owner: 1, createdAt: -1 });
+ListSchema.index({ members: 1 });
+ListSchema.index({ subscribers: 1 });
+
+module.exports = mongoose.model('List', ListSchema);
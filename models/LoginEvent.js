@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Kept for LOGIN_HISTORY_DAYS, then removed by MongoDB
+const LOGIN_HISTORY_DAYS = parseInt(process.env.LOGIN_HISTORY_DAYS, 10) || 90;
+
+// A successful sign-in, shown in the user's login history
+const LoginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  // How the user proved who they are
+  method: {
+    type: String,
+    enum: ['password', 'totp', 'recovery_code'],
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+LoginEventSchema.index({ user: 1, createdAt: -1, _id: -1 });
+LoginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginEvent', LoginEventSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const VariantSchema = new mongoose.Schema({
+  key: String,
+  url: String,
+  width: Number,
+  height: Number,
+  size: Number
+}, { _id: false });
+
+// An uploaded image with its resized variants
+const MediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['tweet', 'avatar', 'cover'],
+    default: 'tweet'
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  variants: {
+    thumbnail: VariantSchema,
+    medium: VariantSchema,
+    original: VariantSchema
+  }
+}, {
+  timestamps: true
+});
+
+MediaSchema.index({ owner: 1, kind: 1 });
+
+// Format media for responses (remove storage keys)
+MediaSchema.methods.toJSON = function() {
+  const media = this.toObject();
+  Object.values(media.variants || {}).forEach(variant => {
+    delete variant.key;
+  });
+  return media;
+};
+
+module.exports = mongoose.model('Media', MediaSchema);
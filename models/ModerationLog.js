@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Audit log entry for an action taken by a moderator or admin
+const ModerationLogSchema = new mongoose.Schema({
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'hide_tweet',
+      'unhide_tweet',
+      'delete_tweet',
+      'suspend_user',
+      'unsuspend_user',
+      'ban_user',
+      'unban_user',
+      'dismiss_report',
+      'set_role'
+    ],
+    required: true
+  },
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Action specific values, e.g. `{ until }` for suspensions
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+ModerationLogSchema.index({ createdAt: -1 });
+ModerationLogSchema.index({ user: 1, createdAt: -1 });
+ModerationLogSchema.index({ moderator: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationLog', ModerationLogSchema);
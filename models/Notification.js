@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'like',
+      'retweet',
+      'reply',
+      'quote',
+      'follow',
+      'follow_request',
+      'follow_accept',
+      'mention'
+    ],
+    required: true
+  },
+  // Users who triggered the notification, most recent first.
+  // Likes and retweets on the same tweet are grouped into one notification.
+  actors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  actorsCount: {
+    type: Number,
+    default: 1
+  },
+  // Set on likes and retweets, which are grouped per tweet while unread
+  grouped: Boolean,
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet'
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ recipient: 1, updatedAt: -1 });
+NotificationSchema.index({ recipient: 1, type: 1, tweet: 1, read: 1 });
+
+// One unread group per recipient, type and tweet (see utils/notifications.js)
+NotificationSchema.index(
+  { recipient: 1, type: 1, tweet: 1 },
+  { unique: true, partialFilterExpression: { grouped: true, read: false } }
+);
+
+module.exports = mongoose.model('Notification', NotificationSchema);
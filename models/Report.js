@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = [
+  'spam',
+  'abuse',
+  'harassment',
+  'hate',
+  'violence',
+  'self_harm',
+  'sensitive',
+  'impersonation',
+  'misinformation',
+  'other'
+];
+
+// A report about a tweet or a user, from another user or raised by the
+// spam filter. Reports about a tweet also record its author in `user`.
+const ReportSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['user', 'spam_filter'],
+    default: 'user'
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return this.source === 'user';
+    }
+  },
+  targetType: {
+    type: String,
+    enum: ['tweet', 'user'],
+    required: true
+  },
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  // The moderation action that closed the report
+  action: String,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+ReportSchema.index({ status: 1, createdAt: -1 });
+ReportSchema.index({ tweet: 1, status: 1 });
+ReportSchema.index({ user: 1, status: 1 });
+ReportSchema.index({ reporter: 1, targetType: 1, tweet: 1, user: 1, status: 1 });
+
+ReportSchema.statics.REASONS = REPORT_REASONS;
+
+module.exports = mongoose.model('Report', ReportSchema);
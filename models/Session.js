@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Each session is one refresh-token family: the token is
+// rotated on every refresh and only the hash of the current one is kept.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse']
+  }
+}, {
+  timestamps: true
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Format session for responses (remove token hash)
+SessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.tokenHash;
+  return session;
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
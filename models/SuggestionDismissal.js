@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// An account a user doesn't want suggested to them again
+const SuggestionDismissalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dismissed: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+SuggestionDismissalSchema.index({ user: 1, dismissed: 1 }, { unique: true });
+SuggestionDismissalSchema.index({ dismissed: 1 });
+
+module.exports = mongoose.model('SuggestionDismissal', SuggestionDismissalSchema);
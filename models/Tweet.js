@@ -1,30 +1,84 @@
 
 const mongoose = require('mongoose');
 
+const MAX_MEDIA = 4;
+
+// Sizes of an attached image, copied from its Media document
+const mediaVariant = {
+  _id: false,
+  url: String,
+  width: Number,
+  height: Number
+};
+
+// Character offsets of an entity within the content: [start, end)
+const indices = {
+  type: [Number],
+  default: undefined
+};
+
 const TweetSchema = new mongoose.Schema({
   content: {
     type: String,
-    required: true,
+    // Retweet entries have no content of their own, and tweets with media
+    // may leave it empty
+    required: function() {
+      return !this.retweetData && !(this.media && this.media.length);
+    },
     trim: true,
-    maxlength: 280
+    maxlength: 280,
+    default: ''
   },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
-  image: {
-    type: String,
-    default: ''
+  media: {
+    type: [{
+      _id: false,
+      media: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media'
+      },
+      type: {
+        type: String,
+        enum: ['image'],
+        default: 'image'
+      },
+      altText: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+        default: ''
+      },
+      variants: {
+        thumbnail: mediaVariant,
+        medium: mediaVariant,
+        original: mediaVariant
+      }
+    }],
+    validate: [media => media.length <= MAX_MEDIA, `A tweet can have at most ${MAX_MEDIA} media items`]
+  },
+  // Likes are Like documents and retweets are retweet entries (tweets with
+  // `retweetData`); these counters are kept in step with them, and with
+  // the replies and quotes of the tweet
+  likesCount: {
+    type: Number,
+    default: 0
+  },
+  retweetsCount: {
+    type: Number,
+    default: 0
+  },
+  repliesCount: {
+    type: Number,
+    default: 0
+  },
+  quotesCount: {
+    type: Number,
+    default: 0
   },
-  likes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  retweets: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
   retweetData: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tweet'
@@ -33,12 +87,126 @@ const TweetSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tweet'
   },
+  quoteTweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet'
+  },
   pinned: {
     type: Boolean,
     default: false
+  },
+  // Set when the content was last edited; earlier versions are TweetVersions
+  editedAt: Date,
+  // Hidden by a moderator (see routes/moderation.js)
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenAt: Date,
+  // Held back by the spam filter: only the author sees it (see utils/spam.js)
+  shadowHidden: {
+    type: Boolean,
+    default: false
+  },
+  // While the author is suspended, banned or deactivated, nobody sees
+  // their tweets; set to when that ends (see updateAuthorVisibility in
+  // utils/tweets.js)
+  authorInactiveUntil: Date,
+  // Set while the author's account is protected: only their followers see
+  // it (see withVisibleAuthors in utils/visibility.js)
+  authorProtected: Boolean,
+  // Set on every tweet of a self-thread posted in one go (see
+  // POST /api/tweets/thread). `root` is the first tweet's id.
+  thread: {
+    type: {
+      _id: false,
+      root: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tweet'
+      },
+      position: Number,
+      count: Number
+    },
+    default: undefined
+  },
+  // Structured entities parsed from content
+  entities: {
+    hashtags: [{
+      _id: false,
+      tag: String,
+      text: String,
+      indices
+    }],
+    mentions: [{
+      _id: false,
+      username: String,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      indices
+    }],
+    urls: [{
+      _id: false,
+      url: String,
+      indices
+    }]
   }
 }, {
   timestamps: true
 });
 
+// One retweet entry per user and tweet
+TweetSchema.index(
+  { retweetData: 1, user: 1 },
+  { unique: true, partialFilterExpression: { retweetData: { $exists: true } } }
+);
+TweetSchema.index({ quoteTweet: 1, createdAt: -1 });
+// Recent tweets across everyone (see computeTrends in routes/trends.js)
+TweetSchema.index({ createdAt: -1 });
+TweetSchema.index({ 'entities.hashtags.tag': 1, createdAt: -1 });
+TweetSchema.index({ content: 'text' });
+// Tweets using an uploaded image (see DELETE /api/media/:id)
+TweetSchema.index(
+  { 'media.media': 1 },
+  { partialFilterExpression: { 'media.media': { $exists: true } } }
+);
+TweetSchema.index(
+  { 'thread.root': 1, 'thread.position': 1 },
+  { partialFilterExpression: { 'thread.root': { $exists: true } } }
+);
+
+// Tweets hidden by moderators or by inactive authors are left out of every
+// query unless the `includeHidden` option is set. Shadow-hidden tweets are
+// left out too, except for their author when the query sets the `viewer`
+// option.
+const activeAuthor = () => ({ authorInactiveUntil: { $not: { $gt: new Date() } } });
+
+TweetSchema.pre(['find', 'findOne', 'countDocuments', 'distinct'], function() {
+  const { includeHidden, viewer } = this.getOptions();
+  if (includeHidden) {
+    return;
+  }
+  this.where({ hidden: { $ne: true }, ...activeAuthor() });
+  this.and([
+    viewer
+      ? { $or: [{ shadowHidden: { $ne: true } }, { user: viewer }] }
+      : { shadowHidden: { $ne: true } }
+  ]);
+});
+
+TweetSchema.pre('aggregate', function() {
+  if (this.options.includeHidden) {
+    return;
+  }
+  // A $text match has to stay the first stage, so merge into it
+  const visible = { hidden: { $ne: true }, shadowHidden: { $ne: true }, ...activeAuthor() };
+  const pipeline = this.pipeline();
+  if (pipeline[0] && pipeline[0].$match) {
+    pipeline[0] = { $match: { ...pipeline[0].$match, ...visible } };
+  } else {
+    pipeline.unshift({ $match: visible });
+  }
+});
+
 module.exports = mongoose.model('Tweet', TweetSchema);
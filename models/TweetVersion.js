@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// An earlier version of an edited tweet. `createdAt` is when that version
+// was posted (the tweet's creation or a previous edit).
+const TweetVersionSchema = new mongoose.Schema({
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  media: {
+    type: Array,
+    default: []
+  },
+  entities: {
+    type: Object,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    required: true
+  }
+});
+
+TweetVersionSchema.index({ tweet: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TweetVersion', TweetVersionSchema);
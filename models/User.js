@@ -26,9 +26,32 @@ const UserSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Set once the user opens the link from their verification email.
+  // Accounts older than verification are backfilled as verified (see
+  // scripts/migrate-email-verified.js).
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // TOTP two-factor authentication. `pendingSecret` is set during setup
+  // until the first code is confirmed; recovery codes are stored hashed.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    pendingSecret: String,
+    recoveryCodes: [String],
+    // Last TOTP time step used, so a code can't be replayed
+    lastUsedStep: Number,
+    enabledAt: Date
+  },
+  // Set through POST /api/users/profile/image and /cover
   profileImage: {
     type: String,
-    default: 'https://via.placeholder.com/150'
+    default: '/static/default-avatar.svg'
   },
   coverImage: {
     type: String,
@@ -46,26 +69,80 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
-  following: [{
+  // Follows are stored as Follow documents; these counters are kept in
+  // step with them (see utils/follows.js)
+  followersCount: {
+    type: Number,
+    default: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0
+  },
+  blocked: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  followers: [{
+  muted: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  likes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Tweet'
+  // Words and phrases whose tweets are left out of the user's timelines
+  // and notifications; `expiresAt` unset means muted until removed
+  mutedWords: [{
+    _id: false,
+    word: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: 100
+    },
+    expiresAt: Date
   }],
-  retweets: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Tweet'
-  }]
+  // Protected accounts approve followers and only show tweets to them
+  protected: {
+    type: Boolean,
+    default: false
+  },
+  // Who can start direct messages with this user
+  allowMessagesFrom: {
+    type: String,
+    enum: ['everyone', 'following'],
+    default: 'everyone'
+  },
+  // Moderators and admins can review reports and act on content
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
+  // Suspended and banned users can't sign in, and their content is hidden
+  suspendedUntil: Date,
+  bannedAt: Date,
+  // Deactivated accounts are hidden like suspended ones, restored by
+  // logging in, and deleted for good once the grace period is over
+  deactivatedAt: Date
 }, {
   timestamps: true
 });
 
+// Look up who has blocked a user
+UserSchema.index({ blocked: 1 });
+
+// Most followed accounts (see utils/suggestions.js)
+UserSchema.index({ followersCount: -1 });
+
+// Look up suspended and banned users
+UserSchema.index({ suspendedUntil: 1 }, { sparse: true });
+UserSchema.index({ bannedAt: 1 }, { sparse: true });
+UserSchema.index({ deactivatedAt: 1 }, { sparse: true });
+
+// Full-text search over profiles; usernames weigh the most
+UserSchema.index(
+  { username: 'text', name: 'text', bio: 'text' },
+  { weights: { username: 10, name: 5, bio: 1 } }
+);
+
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -86,11 +163,84 @@ UserSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether the account is banned or currently suspended
+UserSchema.methods.isSuspended = function() {
+  return Boolean(this.bannedAt) || Boolean(this.suspendedUntil && this.suspendedUntil > new Date());
+};
+
+// Query criteria matching banned and currently suspended users
+UserSchema.statics.suspendedCriteria = function() {
+  return {
+    $or: [
+      { bannedAt: { $ne: null } },
+      { suspendedUntil: { $gt: new Date() } }
+    ]
+  };
+};
+
+// Check whether the account is hidden from everyone else: banned,
+// currently suspended or deactivated
+UserSchema.methods.isInactive = function() {
+  return this.isSuspended() || Boolean(this.deactivatedAt);
+};
+
+// Query criteria matching banned, currently suspended and deactivated users
+UserSchema.statics.inactiveCriteria = function() {
+  return {
+    $or: [
+      ...this.suspendedCriteria().$or,
+      { deactivatedAt: { $ne: null } }
+    ]
+  };
+};
+
+// Query criteria matching everyone else
+UserSchema.statics.activeCriteria = function() {
+  return { $nor: [this.inactiveCriteria()] };
+};
+
+// When the account stops being inactive: the end of a suspension, or never
+// (the latest date there is) for banned and deactivated accounts. Null if
+// it is active.
+UserSchema.methods.inactiveUntil = function() {
+  if (this.bannedAt || this.deactivatedAt) {
+    return new Date(8640000000000000);
+  }
+  return this.isSuspended() ? this.suspendedUntil : null;
+};
+
 // Format user for responses (remove sensitive data)
 UserSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  if (user.twoFactor) {
+    user.twoFactor = { enabled: Boolean(user.twoFactor.enabled) };
+  }
   return user;
 };
 
+// Fields of a profile anyone may see. The rest (email, two-factor, role,
+// moderation state and the user's own lists) is for the user themselves.
+const PUBLIC_FIELDS = [
+  '_id',
+  'name',
+  'username',
+  'profileImage',
+  'coverImage',
+  'bio',
+  'location',
+  'website',
+  'followersCount',
+  'followingCount',
+  'protected',
+  'allowMessagesFrom',
+  'createdAt'
+];
+
+// Format user for other users' responses
+UserSchema.methods.toPublicJSON = function() {
+  const user = this.toObject();
+  return Object.fromEntries(PUBLIC_FIELDS.filter(field => field in user).map(field => [field, user[field]]));
+};
+
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Bookmark = require('../models/Bookmark');
+const { getPage, withPage, paginate } = require('../utils/pagination');
+const {
+  tweetPopulate,
+  findOriginalTweet,
+  addUserInteractionInfo
+} = require('../utils/tweets');
+const {
+  getTweetVisibility,
+  isHiddenAuthor,
+  getAccessibleAuthor,
+  filterHiddenTweets
+} = require('../utils/visibility');
+
+// @route   GET /api/bookmarks
+// @desc    Get the current user's bookmarked tweets, most recently saved first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = getPage(req.query);
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const { items: bookmarks, nextCursor, prevCursor } = await paginate(
+      Bookmark.find(withPage({ user: req.user._id }, page))
+        .populate({ path: 'tweet', populate: tweetPopulate }),
+      page
+    );
+
+    // Tweets by authors the user can no longer see stay bookmarked but
+    // aren't shown
+    const visibility = await getTweetVisibility(req.user);
+    const tweets = bookmarks
+      .map(bookmark => bookmark.tweet)
+      .filter(tweet => tweet && tweet.user && !isHiddenAuthor(tweet.user, visibility));
+
+    const tweetsWithUserInfo = await addUserInteractionInfo(
+      filterHiddenTweets(tweets, visibility),
+      req.user
+    );
+
+    res.json({
+      success: true,
+      tweets: tweetsWithUserInfo,
+      nextCursor,
+      prevCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/bookmarks/:tweetId
+// @desc    Bookmark a tweet
+// @access  Private
+router.post('/:tweetId', auth, async (req, res) => {
+  try {
+    // Bookmarking a retweet entry saves the original tweet
+    const tweet = await findOriginalTweet(req.params.tweetId);
+
+    if (!tweet || !(await getAccessibleAuthor(req.user, tweet.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tweet not found'
+      });
+    }
+
+    await Bookmark.updateOne(
+      { user: req.user._id, tweet: tweet._id },
+      { $setOnInsert: { user: req.user._id, tweet: tweet._id } },
+      { upsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Tweet bookmarked'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/bookmarks/:tweetId
+// @desc    Remove a bookmark
+// @access  Private
+router.delete('/:tweetId', auth, async (req, res) => {
+  try {
+    const tweet = await findOriginalTweet(req.params.tweetId);
+
+    const result = tweet && await Bookmark.deleteOne({
+      user: req.user._id,
+      tweet: tweet._id
+    });
+
+    if (!result || !result.deletedCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bookmark not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bookmark removed'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
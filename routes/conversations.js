@@ -0,0 +1,480 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const verified = require('../middleware/verified');
+const rateLimit = require('../middleware/rateLimit');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const eventStream = require('../utils/eventStream');
+const { getPage, withPage, paginate } = require('../utils/pagination');
+const { includesId, getVisibleTweetIds } = require('../utils/visibility');
+const { isFollowing } = require('../utils/follows');
+
+// Maximum number of participants in a group conversation, including its creator
+const MAX_PARTICIPANTS = 50;
+
+// @route   POST /api/conversations
+// @desc    Start a direct message or group conversation
+// @access  Private
+router.post(
+  '/',
+  [
+    auth,
+    verified('message'),
+    rateLimit('message'),
+    check('participantIds', 'At least one participant is required').isArray({ min: 1 }),
+    check('participantIds.*', 'Invalid user id').isMongoId(),
+    check('name', 'Name must be at most 50 characters').optional().isLength({ max: 50 })
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const { name } = req.body;
+
+      // Remove duplicates and the current user
+      const participantIds = [...new Set(req.body.participantIds.map(String))]
+        .filter(id => id !== req.user.id);
+
+      if (!participantIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot start a conversation with yourself'
+        });
+      }
+
+      if (participantIds.length + 1 > MAX_PARTICIPANTS) {
+        return res.status(400).json({
+          success: false,
+          message: `A conversation can have at most ${MAX_PARTICIPANTS} participants`
+        });
+      }
+
+      const participants = await User.find({ _id: { $in: participantIds } });
+      if (participants.length !== participantIds.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      // Check every participant accepts messages from the current user
+      const allowed = await Promise.all(participants.map(user => canMessage(req.user, user)));
+      const refusing = participants.find((user, i) => !allowed[i]);
+      if (refusing) {
+        return res.status(403).json({
+          success: false,
+          message: `@${refusing.username} does not accept messages from you`
+        });
+      }
+
+      const isGroup = participants.length > 1;
+
+      // Reuse an existing direct message conversation
+      if (!isGroup) {
+        const existing = await Conversation.findOne({
+          isGroup: false,
+          participants: { $all: [req.user._id, participants[0]._id], $size: 2 }
+        }).populate('participants', 'name username profileImage');
+
+        if (existing) {
+          return res.json({
+            success: true,
+            conversation: existing
+          });
+        }
+      }
+
+      const conversation = await Conversation.create({
+        participants: [req.user._id, ...participants.map(user => user._id)],
+        isGroup,
+        name: isGroup ? name || '' : '',
+        createdBy: req.user._id
+      });
+
+      await conversation.populate('participants', 'name username profileImage');
+
+      res.status(201).json({
+        success: true,
+        conversation
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/conversations
+// @desc    Get the current user's conversations, latest message first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = getPage(req.query, { field: 'lastMessageAt', defaultLimit: 20 });
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const { items: conversations, nextCursor, prevCursor } = await paginate(
+      Conversation.find(withPage({ participants: req.user._id }, page))
+        .populate('participants', 'name username profileImage')
+        .populate('lastMessage'),
+      page
+    );
+
+    // Add unread message count for the current user
+    const conversationsWithUnread = await Promise.all(conversations.map(async conversation => ({
+      ...conversation.toJSON(),
+      unreadCount: await countUnread(conversation, req.user)
+    })));
+
+    res.json({
+      success: true,
+      conversations: conversationsWithUnread,
+      nextCursor,
+      prevCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/conversations/:id
+// @desc    Get a conversation with its read receipts
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id)
+      .populate('participants', 'name username profileImage')
+      .populate('lastMessage');
+
+    if (!conversation || !isParticipant(conversation, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      conversation: {
+        ...conversation.toJSON(),
+        unreadCount: await countUnread(conversation, req.user)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/conversations/:id/messages
+// @desc    Get message history of a conversation
+// @access  Private
+router.get('/:id/messages', auth, async (req, res) => {
+  try {
+    const page = getPage(req.query, { defaultLimit: 30 });
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const conversation = await Conversation.findById(req.params.id);
+
+    if (!conversation || !isParticipant(conversation, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const { items: messages, nextCursor, prevCursor } = await paginate(
+      Message.find(withPage({ conversation: conversation._id }, page))
+        .populate('sender', 'name username profileImage'),
+      page
+    );
+
+    res.json({
+      success: true,
+      messages: await populateSharedTweets(messages, req.user),
+      nextCursor,
+      prevCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/conversations/:id/messages
+// @desc    Send a message
+// @access  Private
+router.post(
+  '/:id/messages',
+  [
+    auth,
+    verified('message'),
+    rateLimit('message'),
+    check('content', 'Message must be at most 10000 characters').optional().isLength({ max: 10000 }),
+    check('image', 'Image must be a URL').optional({ checkFalsy: true }).isURL(),
+    check('tweetId', 'Invalid tweet id').optional().isMongoId()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const { content, image, tweetId } = req.body;
+
+      if (!(content && content.trim()) && !image && !tweetId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Message must have content, an image or a shared tweet'
+        });
+      }
+
+      const conversation = await Conversation.findById(req.params.id);
+
+      if (!conversation || !isParticipant(conversation, req.user)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation not found'
+        });
+      }
+
+      // Direct messages re-check the recipient's message setting
+      if (!conversation.isGroup) {
+        const recipient = await User.findById(
+          conversation.participants.find(id => id.toString() !== req.user.id)
+        );
+        if (!recipient || !(await canMessage(req.user, recipient))) {
+          return res.status(403).json({
+            success: false,
+            message: 'This user does not accept messages from you'
+          });
+        }
+      }
+
+      // A shared tweet is shown in full, so everyone in the conversation
+      // has to be able to see it
+      if (tweetId) {
+        if (!(await getVisibleTweetIds(req.user, [tweetId])).length) {
+          return res.status(404).json({
+            success: false,
+            message: 'Tweet not found'
+          });
+        }
+
+        const recipients = await User.find({
+          _id: { $in: conversation.participants, $ne: req.user._id }
+        }).select('blocked');
+        const visible = await Promise.all(recipients.map(recipient => getVisibleTweetIds(recipient, [tweetId])));
+        if (visible.some(ids => !ids.length)) {
+          return res.status(403).json({
+            success: false,
+            message: 'This tweet cannot be shared with everyone in this conversation'
+          });
+        }
+      }
+
+      const message = await Message.create({
+        conversation: conversation._id,
+        sender: req.user._id,
+        content: content || '',
+        image: image || '',
+        sharedTweet: tweetId
+      });
+
+      // Bump the conversation and mark the message as read by its sender
+      conversation.lastMessage = message._id;
+      conversation.lastMessageAt = message.createdAt;
+      markRead(conversation, req.user._id, message);
+      await conversation.save();
+
+      await message.populate('sender', 'name username profileImage');
+      const [messageJSON] = await populateSharedTweets([message], req.user);
+
+      eventStream.publish('message', messageJSON, {
+        recipients: conversation.participants
+      });
+
+      res.status(201).json({
+        success: true,
+        message: messageJSON
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   PUT /api/conversations/:id/read
+// @desc    Mark a conversation as read (up to `messageId`, or the latest message)
+// @access  Private
+router.put(
+  '/:id/read',
+  [auth, check('messageId', 'Invalid message id').optional().isMongoId()],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const conversation = await Conversation.findById(req.params.id);
+
+      if (!conversation || !isParticipant(conversation, req.user)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation not found'
+        });
+      }
+
+      const message = req.body.messageId
+        ? await Message.findOne({ _id: req.body.messageId, conversation: conversation._id })
+        : await Message.findById(conversation.lastMessage);
+
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          message: 'Message not found'
+        });
+      }
+
+      markRead(conversation, req.user._id, message);
+      await conversation.save();
+
+      eventStream.publish('conversation:read', {
+        conversationId: conversation._id,
+        user: req.user._id,
+        message: message._id,
+        readAt: new Date()
+      }, { recipients: conversation.participants });
+
+      res.json({
+        success: true,
+        readBy: conversation.readBy
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// Helper function to check whether a user may send direct messages to another
+async function canMessage(sender, recipient) {
+  if (includesId(recipient.blocked, sender._id) || includesId(sender.blocked, recipient._id)) {
+    return false;
+  }
+  if (recipient.allowMessagesFrom === 'following') {
+    return isFollowing(recipient._id, sender._id);
+  }
+  return true;
+}
+
+function isParticipant(conversation, user) {
+  return conversation.participants.some(participant =>
+    (participant._id || participant).toString() === user.id
+  );
+}
+
+// Helper function to move a participant's read receipt forward
+function markRead(conversation, userId, message) {
+  const receipt = conversation.readBy.find(r => r.user.toString() === userId.toString());
+
+  // Never move a receipt backwards
+  if (receipt && receipt.messageAt >= message.createdAt) {
+    return;
+  }
+
+  conversation.readBy = conversation.readBy.filter(r => r.user.toString() !== userId.toString());
+  conversation.readBy.push({
+    user: userId,
+    message: message._id,
+    messageAt: message.createdAt,
+    readAt: new Date()
+  });
+}
+
+// Helper function to populate the tweets shared in messages. Tweets the
+// viewer can't see (anymore), or that were deleted, are replaced by a
+// placeholder.
+async function populateSharedTweets(messages, viewer) {
+  const sharedIds = messages.map(message => message.sharedTweet && message.sharedTweet.toString());
+  const visibleIds = new Set(await getVisibleTweetIds(viewer, sharedIds.filter(Boolean)));
+
+  await Message.populate(messages, {
+    path: 'sharedTweet',
+    populate: { path: 'user', select: 'name username profileImage' }
+  });
+
+  return messages.map((message, i) => {
+    const messageObj = message.toJSON();
+    if (sharedIds[i] && (!visibleIds.has(sharedIds[i]) || !message.sharedTweet)) {
+      messageObj.sharedTweet = { _id: sharedIds[i], unavailable: true };
+    }
+    return messageObj;
+  });
+}
+
+// Helper function to count messages from others the user hasn't read yet
+async function countUnread(conversation, user) {
+  const receipt = conversation.readBy.find(r => r.user.toString() === user.id);
+
+  const criteria = {
+    conversation: conversation._id,
+    sender: { $ne: user._id }
+  };
+  if (receipt) {
+    criteria.createdAt = { $gt: receipt.messageAt };
+  }
+
+  return Message.countDocuments(criteria);
+}
+
+module.exports = router;
@@ -0,0 +1,381 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const verified = require('../middleware/verified');
+const Draft = require('../models/Draft');
+const {
+  getPage,
+  withPage,
+  paginate,
+  getOffsetPage,
+  buildOffsetPage
+} = require('../utils/pagination');
+const { ComposeError, buildTweetFields } = require('../utils/compose');
+const {
+  toDraftFields,
+  toTweetBody,
+  claimDraft,
+  publishDraft
+} = require('../utils/drafts');
+
+// Fields accepted when saving a draft; drafts may be left empty
+const draftChecks = [
+  check('content', 'Content must be at most 280 characters').optional().isString().isLength({ max: 280 }),
+  check('media', 'A tweet can have at most 4 media items').optional().isArray({ max: 4 }),
+  check('media.*.id', 'Invalid media id').isMongoId(),
+  check('media.*.altText', 'Alt text must be at most 1000 characters').optional().isLength({ max: 1000 }),
+  check('replyToId', 'Invalid tweet id').optional().isMongoId(),
+  check('quoteTweetId', 'Invalid tweet id').optional().isMongoId()
+];
+
+const scheduleCheck = check('scheduledAt', 'Scheduled time must be a date in the future')
+  .isISO8601()
+  .custom(value => new Date(value) > new Date());
+
+// @route   GET /api/drafts
+// @desc    Get the current user's drafts, most recently edited first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = getPage(req.query, { field: 'updatedAt' });
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const { items: drafts, nextCursor, prevCursor } = await paginate(
+      Draft.find(withPage({ user: req.user._id, status: 'draft' }, page)),
+      page
+    );
+
+    res.json({
+      success: true,
+      drafts,
+      nextCursor,
+      prevCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/drafts
+// @desc    Save a draft
+// @access  Private
+router.post('/', [auth, ...draftChecks], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const draft = await new Draft({
+      ...toDraftFields(req.body),
+      user: req.user._id
+    }).save();
+
+    res.status(201).json({
+      success: true,
+      draft
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/drafts/scheduled
+// @desc    Get the current user's scheduled posts, soonest first. Posts that
+//          couldn't be published are included with status "failed".
+// @access  Private
+router.get('/scheduled', auth, async (req, res) => {
+  try {
+    const page = getOffsetPage(req.query);
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const scheduled = await Draft.find({
+      user: req.user._id,
+      status: { $in: ['scheduled', 'publishing', 'failed'] }
+    })
+      .sort({ scheduledAt: 1, _id: 1 })
+      .skip(page.offset)
+      .limit(page.limit + 1);
+
+    const { items, nextCursor, prevCursor } = buildOffsetPage(scheduled, page.offset, page.limit);
+
+    res.json({
+      success: true,
+      scheduled: items,
+      nextCursor,
+      prevCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/drafts/:id
+// @desc    Get a draft or scheduled post
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const draft = await loadOwnDraft(req, res);
+    if (!draft) return;
+
+    res.json({
+      success: true,
+      draft
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/drafts/:id
+// @desc    Update a draft or scheduled post
+// @access  Private
+router.put('/:id', [auth, ...draftChecks], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const draft = await loadOwnDraft(req, res, { editable: true });
+    if (!draft) return;
+
+    draft.set(toDraftFields(req.body));
+
+    // A scheduled post must still be publishable after the edit
+    if (draft.status === 'scheduled') {
+      await buildTweetFields(toTweetBody(draft), req.user._id);
+    }
+
+    await draft.save();
+
+    res.json({
+      success: true,
+      draft
+    });
+  } catch (error) {
+    if (error instanceof ComposeError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/drafts/:id
+// @desc    Delete a draft or scheduled post
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const draft = await loadOwnDraft(req, res, { editable: true });
+    if (!draft) return;
+
+    await draft.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Draft removed'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/drafts/:id/schedule
+// @desc    Schedule a draft, or reschedule a scheduled post
+// @access  Private
+router.put('/:id/schedule', [auth, verified('tweet'), scheduleCheck], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const draft = await loadOwnDraft(req, res, { editable: true });
+    if (!draft) return;
+
+    // Only posts that could be published now can be scheduled
+    await buildTweetFields(toTweetBody(draft), req.user._id);
+
+    draft.status = 'scheduled';
+    draft.scheduledAt = new Date(req.body.scheduledAt);
+    draft.attempts = 0;
+    draft.error = undefined;
+    await draft.save();
+
+    res.json({
+      success: true,
+      scheduled: draft
+    });
+  } catch (error) {
+    if (error instanceof ComposeError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/drafts/:id/schedule
+// @desc    Cancel a scheduled post; it is kept as a draft
+// @access  Private
+router.delete('/:id/schedule', auth, async (req, res) => {
+  try {
+    const draft = await loadOwnDraft(req, res, { editable: true });
+    if (!draft) return;
+
+    draft.status = 'draft';
+    draft.scheduledAt = undefined;
+    draft.error = undefined;
+    await draft.save();
+
+    res.json({
+      success: true,
+      draft
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/drafts/:id/publish
+// @desc    Publish a draft or scheduled post now
+// @access  Private
+router.post('/:id/publish', auth, verified('tweet'), async (req, res) => {
+  try {
+    const draft = await loadOwnDraft(req, res, { editable: true });
+    if (!draft) return;
+
+    // Claim it so the scheduler can't publish it at the same time
+    const claimed = await claimDraft({ _id: draft._id });
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This post is already being published'
+      });
+    }
+
+    try {
+      const tweet = await publishDraft(claimed);
+
+      res.status(201).json({
+        success: true,
+        tweet
+      });
+    } catch (error) {
+      // Put it back the way it was
+      await Draft.updateOne({ _id: draft._id }, {
+        $set: { status: draft.status, attempts: draft.attempts },
+        $unset: { lockedAt: 1 }
+      });
+      throw error;
+    }
+  } catch (error) {
+    if (error instanceof ComposeError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Helper function to load one of the user's drafts. With `editable`, posts
+// the scheduler is publishing are refused. Sends an error response and
+// returns null when the draft can't be used.
+async function loadOwnDraft(req, res, { editable = false } = {}) {
+  const draft = await Draft.findById(req.params.id);
+
+  if (!draft) {
+    res.status(404).json({
+      success: false,
+      message: 'Draft not found'
+    });
+    return null;
+  }
+
+  // Check if draft belongs to user
+  if (draft.user.toString() !== req.user.id) {
+    res.status(401).json({
+      success: false,
+      message: 'User not authorized'
+    });
+    return null;
+  }
+
+  if (editable && draft.status === 'publishing') {
+    res.status(409).json({
+      success: false,
+      message: 'This post is being published'
+    });
+    return null;
+  }
+
+  return draft;
+}
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Tweet = require('../models/Tweet');
+const { normalizeTag } = require('../utils/entities');
+const { getPage, withPage, paginate } = require('../utils/pagination');
+const { tweetPopulate, addUserInteractionInfo } = require('../utils/tweets');
+const {
+  getTweetVisibility,
+  withVisibleAuthors,
+  filterHiddenTweets
+} = require('../utils/visibility');
+
+// @route   GET /api/hashtags/:tag
+// @desc    Get tweets with a hashtag
+// @access  Private
+router.get('/:tag', auth, async (req, res) => {
+  try {
+    const page = getPage(req.query);
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const tag = normalizeTag(req.params.tag);
+    const visibility = await getTweetVisibility(req.user);
+
+    const { items: tweets, nextCursor, prevCursor } = await paginate(
+      Tweet.find(withPage(withVisibleAuthors({ 'entities.hashtags.tag': tag }, visibility), page))
+        .populate(tweetPopulate),
+      page
+    );
+
+    // Add isLiked and isRetweeted properties
+    const tweetsWithUserInfo = await addUserInteractionInfo(
+      filterHiddenTweets(tweets, visibility),
+      req.user
+    );
+
+    res.json({
+      success: true,
+      tag,
+      tweets: tweetsWithUserInfo,
+      nextCursor,
+      prevCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,515 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const List = require('../models/List');
+const User = require('../models/User');
+const { getPage, withPage, paginate } = require('../utils/pagination');
+const {
+  userFields,
+  findTimelinePage,
+  addUserInteractionInfo,
+  addThreadTweets
+} = require('../utils/tweets');
+const {
+  includesId,
+  getHiddenUserIds,
+  getTweetVisibility,
+  isBlockedBetween,
+  filterHiddenTweets
+} = require('../utils/visibility');
+const { getFollowedIds } = require('../utils/follows');
+const { filterMutedTweets } = require('../utils/filters');
+
+// Most members a list can have
+const MAX_LIST_MEMBERS = 5000;
+
+const listChecks = [
+  check('name', 'Name must be between 1 and 50 characters').optional().isString().trim().isLength({ min: 1, max: 50 }),
+  check('description', 'Description must be at most 160 characters').optional().isString().isLength({ max: 160 }),
+  check('private', 'Private must be true or false').optional().isBoolean().toBoolean()
+];
+
+// @route   GET /api/lists
+// @desc    Get lists the current user owns or subscribes to, or the lists
+//          owned by `username`
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { username } = req.query;
+
+    const page = getPage(req.query);
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    let matchCriteria;
+
+    if (username) {
+      const user = await User.findOne({ username });
+      if (!user || await isBlockedBetween(req.user, user._id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      matchCriteria = { owner: user._id };
+      if (!user._id.equals(req.user._id)) {
+        matchCriteria.private = false;
+      }
+    } else {
+      matchCriteria = {
+        $or: [{ owner: req.user._id }, { subscribers: req.user._id }]
+      };
+    }
+
+    const { items: lists, nextCursor, prevCursor } = await paginate(
+      List.find(withPage(matchCriteria, page)).populate('owner', userFields),
+      page
+    );
+
+    res.json({
+      success: true,
+      lists: lists.map(list => formatList(list, req.user)),
+      nextCursor,
+      prevCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/lists
+// @desc    Create a list
+// @access  Private
+router.post(
+  '/',
+  [auth, check('name', 'Name is required').exists(), ...listChecks],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const { name, description, private: isPrivate } = req.body;
+
+      const list = await new List({
+        owner: req.user._id,
+        name,
+        description,
+        private: isPrivate === true
+      }).save();
+
+      await list.populate('owner', userFields);
+
+      res.status(201).json({
+        success: true,
+        list: formatList(list, req.user)
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/lists/:id
+// @desc    Get a list
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    await list.populate('owner', userFields);
+
+    res.json({
+      success: true,
+      list: formatList(list, req.user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/lists/:id
+// @desc    Update a list's name, description or privacy
+// @access  Private
+router.put('/:id', [auth, ...listChecks], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const list = await loadList(req, res, { owner: true });
+    if (!list) return;
+
+    const { name, description, private: isPrivate } = req.body;
+
+    if (name !== undefined) list.name = name;
+    if (description !== undefined) list.description = description;
+    if (isPrivate !== undefined) {
+      list.private = isPrivate;
+      // Nobody else can see a private list, so it has no subscribers
+      if (list.private) {
+        list.subscribers = [];
+      }
+    }
+
+    await list.save();
+    await list.populate('owner', userFields);
+
+    res.json({
+      success: true,
+      list: formatList(list, req.user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/lists/:id
+// @desc    Delete a list
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const list = await loadList(req, res, { owner: true });
+    if (!list) return;
+
+    await list.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'List removed'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/lists/:id/timeline
+// @desc    Get tweets and retweets from a list's members, newest first
+// @access  Private
+router.get('/:id/timeline', auth, async (req, res) => {
+  try {
+    const page = getPage(req.query);
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    // Same rules as the home timeline in GET /api/tweets
+    const visibility = await getTweetVisibility(req.user);
+    const result = await findTimelinePage(list.members, visibility, page, req.user);
+    const tweets = filterMutedTweets(filterHiddenTweets(result.items, visibility), req.user);
+
+    const tweetsWithUserInfo = await addThreadTweets(
+      await addUserInteractionInfo(tweets, req.user),
+      req.user
+    );
+
+    res.json({
+      success: true,
+      tweets: tweetsWithUserInfo,
+      nextCursor: result.nextCursor,
+      prevCursor: result.prevCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/lists/:id/members
+// @desc    Get a list's members
+// @access  Private
+router.get('/:id/members', auth, async (req, res) => {
+  try {
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    await sendUsers(req, res, list.members);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/lists/:id/members/:userId
+// @desc    Add a user to a list
+// @access  Private
+router.post('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const list = await loadList(req, res, { owner: true });
+    if (!list) return;
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (await isBlockedBetween(req.user, user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot add this user to a list'
+      });
+    }
+
+    if (list.members.length >= MAX_LIST_MEMBERS && !includesId(list.members, user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: `A list can have at most ${MAX_LIST_MEMBERS} members`
+      });
+    }
+
+    await List.findByIdAndUpdate(list._id, {
+      $addToSet: { members: user._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Member added'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/lists/:id/members/:userId
+// @desc    Remove a user from a list
+// @access  Private
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const list = await loadList(req, res, { owner: true });
+    if (!list) return;
+
+    if (!includesId(list.members, req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this list'
+      });
+    }
+
+    await List.findByIdAndUpdate(list._id, {
+      $pull: { members: req.params.userId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Member removed'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/lists/:id/subscribers
+// @desc    Get a list's subscribers
+// @access  Private
+router.get('/:id/subscribers', auth, async (req, res) => {
+  try {
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    await sendUsers(req, res, list.subscribers);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/lists/:id/subscribe
+// @desc    Subscribe to a public list
+// @access  Private
+router.post('/:id/subscribe', auth, async (req, res) => {
+  try {
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    if (list.owner.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot subscribe to your own list'
+      });
+    }
+
+    await List.findByIdAndUpdate(list._id, {
+      $addToSet: { subscribers: req.user._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Subscribed to list'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/lists/:id/unsubscribe
+// @desc    Unsubscribe from a list
+// @access  Private
+router.post('/:id/unsubscribe', auth, async (req, res) => {
+  try {
+    const list = await List.findById(req.params.id);
+
+    if (!list || !includesId(list.subscribers, req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not subscribed to this list'
+      });
+    }
+
+    await List.findByIdAndUpdate(list._id, {
+      $pull: { subscribers: req.user._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Unsubscribed from list'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Helper function to load a list the current user may see: their own, or
+// a public list whose owner hasn't blocked them (or been blocked). With
+// `owner`, only the owner may use it. Sends an error response and returns
+// null otherwise.
+async function loadList(req, res, { owner = false } = {}) {
+  const list = await List.findById(req.params.id);
+  const isOwner = list && list.owner.equals(req.user._id);
+
+  if (
+    !list ||
+    (!isOwner && (list.private || await isBlockedBetween(req.user, list.owner)))
+  ) {
+    res.status(404).json({
+      success: false,
+      message: 'List not found'
+    });
+    return null;
+  }
+
+  if (owner && !isOwner) {
+    res.status(401).json({
+      success: false,
+      message: 'User not authorized'
+    });
+    return null;
+  }
+
+  return list;
+}
+
+// Helper function to send a page of users from a list's members or
+// subscribers, leaving out users hidden from the current user
+async function sendUsers(req, res, userIds) {
+  const page = getPage(req.query);
+  if (!page) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid cursor'
+    });
+  }
+
+  const hiddenIds = await getHiddenUserIds(req.user);
+
+  const { items: users, nextCursor, prevCursor } = await paginate(
+    User.find(withPage({ _id: { $in: userIds, $nin: hiddenIds }, ...User.activeCriteria() }, page))
+      .select('_id name username profileImage bio createdAt'),
+    page
+  );
+  const followedIds = await getFollowedIds(req.user._id, users.map(user => user._id));
+
+  res.json({
+    success: true,
+    users: users.map(user => ({
+      ...user.toJSON(),
+      isFollowing: followedIds.has(user.id)
+    })),
+    nextCursor,
+    prevCursor
+  });
+}
+
+// Helper function to format a list for responses, with counts in place of
+// the member and subscriber arrays
+function formatList(list, viewer) {
+  const { members, subscribers, ...listObj } = list.toJSON();
+  return {
+    ...listObj,
+    membersCount: members.length,
+    subscribersCount: subscribers.length,
+    isSubscribed: includesId(subscribers, viewer._id),
+    isMember: includesId(members, viewer._id)
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const verified = require('../middleware/verified');
+const uploadImage = require('../middleware/upload');
+const rateLimit = require('../middleware/rateLimit');
+const Media = require('../models/Media');
+const Tweet = require('../models/Tweet');
+const Draft = require('../models/Draft');
+const { InvalidImageError, storeImage, removeMedia } = require('../utils/media');
+
+// @route   POST /api/media
+// @desc    Upload an image to attach to a tweet (multipart field "file")
+// @access  Private
+router.post('/', auth, verified('upload'), rateLimit('upload'), uploadImage('file'), async (req, res) => {
+  try {
+    const media = await storeImage(req.file.buffer, {
+      owner: req.user._id,
+      kind: 'tweet'
+    });
+
+    res.status(201).json({
+      success: true,
+      media
+    });
+  } catch (error) {
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/media/:id
+// @desc    Delete an uploaded image that isn't attached to a tweet or draft
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    // Check if media belongs to user
+    if (media.owner.toString() !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authorized'
+      });
+    }
+
+    // Hidden tweets count too: they keep their media for when they're restored
+    if (await Tweet.exists({ 'media.media': media._id }).setOptions({ includeHidden: true })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Media is attached to a tweet'
+      });
+    }
+
+    if (await Draft.exists({ 'media.media': media._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Media is attached to a draft'
+      });
+    }
+
+    await removeMedia(media);
+
+    res.json({
+      success: true,
+      message: 'Media removed'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,670 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const role = require('../middleware/role');
+const Report = require('../models/Report');
+const ModerationLog = require('../models/ModerationLog');
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const { getPage, withPage, paginate } = require('../utils/pagination');
+const {
+  userFields,
+  removeTweet,
+  updateParentCounts,
+  updateAuthorVisibility
+} = require('../utils/tweets');
+const { revokeAllSessions } = require('../utils/tokens');
+const {
+  ROLE_RANK,
+  outranks,
+  logAction,
+  resolveReports
+} = require('../utils/moderation');
+
+// Longest suspension, in hours; longer ones should be bans
+const MAX_SUSPENSION_HOURS = 365 * 24;
+
+// Every route here is for moderators and admins
+router.use(auth, role('moderator'));
+
+const reasonCheck = check('reason', 'Reason must be at most 1000 characters')
+  .optional()
+  .isString()
+  .isLength({ max: 1000 });
+
+// @route   GET /api/moderation/reports
+// @desc    Get the report queue, newest first (open reports by default)
+// @access  Moderator
+router.get(
+  '/reports',
+  [
+    check('status', 'Invalid status').optional().isIn(Report.schema.path('status').enumValues),
+    check('reason', 'Invalid reason').optional().isIn(Report.REASONS),
+    check('targetType', 'Invalid target type').optional().isIn(Report.schema.path('targetType').enumValues)
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const { status = 'open', reason, targetType } = req.query;
+
+      const page = getPage(req.query);
+      if (!page) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+
+      const matchCriteria = { status };
+      if (reason) matchCriteria.reason = reason;
+      if (targetType) matchCriteria.targetType = targetType;
+
+      const { items: reports, nextCursor, prevCursor } = await paginate(
+        populateReport(Report.find(withPage(matchCriteria, page))),
+        page
+      );
+
+      res.json({
+        success: true,
+        reports,
+        nextCursor,
+        prevCursor
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/moderation/reports/:id
+// @desc    Get a report, with the number of open reports about the same target
+// @access  Moderator
+router.get('/reports/:id', async (req, res) => {
+  try {
+    const report = await populateReport(Report.findById(req.params.id));
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const openReportsCount = await Report.countDocuments(
+      report.targetType === 'tweet'
+        ? { tweet: report.tweet && report.tweet._id, status: 'open' }
+        : { targetType: 'user', user: report.user && report.user._id, status: 'open' }
+    );
+
+    res.json({
+      success: true,
+      report,
+      openReportsCount
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/moderation/reports/:id/dismiss
+// @desc    Dismiss a report without taking action
+// @access  Moderator
+router.post('/reports/:id/dismiss', reasonCheck, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const report = await Report.findById(req.params.id);
+
+    if (!report || report.status !== 'open') {
+      return res.status(404).json({
+        success: false,
+        message: 'Open report not found'
+      });
+    }
+
+    report.status = 'dismissed';
+    report.action = 'dismiss';
+    report.resolvedBy = req.user._id;
+    report.resolvedAt = new Date();
+    await report.save();
+
+    await logAction(req.user, 'dismiss_report', {
+      report: report._id,
+      tweet: report.tweet,
+      user: report.user,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/moderation/tweets/:id/hide
+// @desc    Hide a tweet from everyone
+// @access  Moderator
+router.post('/tweets/:id/hide', reasonCheck, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const tweet = await loadTweet(req, res);
+    if (!tweet) return;
+
+    if (!tweet.hidden) {
+      tweet.hidden = true;
+      tweet.hiddenAt = new Date();
+      await tweet.save();
+    }
+
+    await resolveReports({ tweet: tweet._id }, req.user, 'hide_tweet');
+    await logAction(req.user, 'hide_tweet', {
+      tweet: tweet._id,
+      user: tweet.user,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Tweet hidden'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/moderation/tweets/:id/unhide
+// @desc    Show a tweet hidden by a moderator or held back by the spam filter
+// @access  Moderator
+router.post('/tweets/:id/unhide', reasonCheck, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const tweet = await loadTweet(req, res);
+    if (!tweet) return;
+
+    if (!tweet.hidden && !tweet.shadowHidden) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tweet is not hidden'
+      });
+    }
+
+    // Tweets held back by the spam filter were never counted as replies
+    // or quotes
+    const wasShadowHidden = tweet.shadowHidden;
+
+    tweet.hidden = false;
+    tweet.hiddenAt = undefined;
+    tweet.shadowHidden = false;
+    await tweet.save();
+
+    if (wasShadowHidden) {
+      await updateParentCounts(tweet, 1);
+    }
+
+    await logAction(req.user, 'unhide_tweet', {
+      tweet: tweet._id,
+      user: tweet.user,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Tweet restored'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/moderation/tweets/:id
+// @desc    Delete a tweet
+// @access  Moderator
+router.delete('/tweets/:id', reasonCheck, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const tweet = await loadTweet(req, res);
+    if (!tweet) return;
+
+    await removeTweet(tweet);
+
+    await resolveReports({ tweet: tweet._id }, req.user, 'delete_tweet');
+    // Keep what was removed, since the tweet itself is gone
+    await logAction(req.user, 'delete_tweet', {
+      tweet: tweet._id,
+      user: tweet.user,
+      reason: req.body.reason,
+      details: { content: tweet.content, createdAt: tweet.createdAt }
+    });
+
+    res.json({
+      success: true,
+      message: 'Tweet removed'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/moderation/users/:id/suspend
+// @desc    Suspend a user for `hours`
+// @access  Moderator
+router.post(
+  '/users/:id/suspend',
+  [
+    check('hours', `Hours must be between 1 and ${MAX_SUSPENSION_HOURS}`).isInt({ min: 1, max: MAX_SUSPENSION_HOURS }),
+    reasonCheck
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const user = await loadTargetUser(req, res);
+      if (!user) return;
+
+      const until = new Date(Date.now() + parseInt(req.body.hours, 10) * 60 * 60 * 1000);
+      user.suspendedUntil = until;
+      await user.save();
+      await updateAuthorVisibility(user);
+
+      await resolveReports({ user: user._id }, req.user, 'suspend_user');
+      await logAction(req.user, 'suspend_user', {
+        user: user._id,
+        reason: req.body.reason,
+        details: { until }
+      });
+
+      res.json({
+        success: true,
+        suspendedUntil: until
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/moderation/users/:id/unsuspend
+// @desc    Lift a user's suspension
+// @access  Moderator
+router.post('/users/:id/unsuspend', reasonCheck, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.suspendedUntil || user.suspendedUntil <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not suspended'
+      });
+    }
+
+    user.suspendedUntil = undefined;
+    await user.save();
+    await updateAuthorVisibility(user);
+
+    await logAction(req.user, 'unsuspend_user', {
+      user: user._id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Suspension lifted'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/moderation/users/:id/ban
+// @desc    Ban a user permanently and sign them out everywhere
+// @access  Moderator
+router.post('/users/:id/ban', reasonCheck, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.bannedAt) {
+      user.bannedAt = new Date();
+      await user.save();
+      await updateAuthorVisibility(user);
+    }
+    await revokeAllSessions(user._id);
+
+    await resolveReports({ user: user._id }, req.user, 'ban_user');
+    await logAction(req.user, 'ban_user', {
+      user: user._id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'User banned'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/moderation/users/:id/unban
+// @desc    Lift a user's ban
+// @access  Moderator
+router.post('/users/:id/unban', reasonCheck, async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.bannedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not banned'
+      });
+    }
+
+    user.bannedAt = undefined;
+    await user.save();
+    await updateAuthorVisibility(user);
+
+    await logAction(req.user, 'unban_user', {
+      user: user._id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Ban lifted'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/moderation/users/:id/role
+// @desc    Change a user's role
+// @access  Admin
+router.put(
+  '/users/:id/role',
+  [
+    role('admin'),
+    check('role', 'Invalid role').isIn(Object.keys(ROLE_RANK)),
+    reasonCheck
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const user = await loadTargetUser(req, res);
+      if (!user) return;
+
+      const previousRole = user.role;
+      user.role = req.body.role;
+      await user.save();
+
+      await logAction(req.user, 'set_role', {
+        user: user._id,
+        reason: req.body.reason,
+        details: { from: previousRole, to: user.role }
+      });
+
+      res.json({
+        success: true,
+        role: user.role
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/moderation/log
+// @desc    Get the audit log, newest first. Filter by `action`, `user`
+//          (the target) or `moderator`.
+// @access  Moderator
+router.get(
+  '/log',
+  [
+    check('action', 'Invalid action').optional().isIn(ModerationLog.schema.path('action').enumValues),
+    check('user', 'Invalid user id').optional().isMongoId(),
+    check('moderator', 'Invalid moderator id').optional().isMongoId()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const { action, user, moderator } = req.query;
+
+      const page = getPage(req.query);
+      if (!page) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+
+      const matchCriteria = {};
+      if (action) matchCriteria.action = action;
+      if (user) matchCriteria.user = user;
+      if (moderator) matchCriteria.moderator = moderator;
+
+      const { items: entries, nextCursor, prevCursor } = await paginate(
+        ModerationLog.find(withPage(matchCriteria, page))
+          .populate('moderator', userFields)
+          .populate('user', userFields),
+        page
+      );
+
+      res.json({
+        success: true,
+        entries,
+        nextCursor,
+        prevCursor
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// Helper function to populate a report's reporter, target user and tweet
+// (including hidden tweets)
+function populateReport(query) {
+  return query
+    .populate('reporter', userFields)
+    .populate('user', `${userFields} role suspendedUntil bannedAt`)
+    .populate({
+      path: 'tweet',
+      options: { includeHidden: true },
+      populate: { path: 'user', select: userFields }
+    });
+}
+
+// Helper function to load a tweet to moderate, hidden or not. Tweets by
+// moderators and admins can only be moderated by someone above them.
+// Sends an error response and returns null otherwise.
+async function loadTweet(req, res) {
+  const tweet = await Tweet.findById(req.params.id).setOptions({ includeHidden: true });
+
+  if (!tweet) {
+    res.status(404).json({
+      success: false,
+      message: 'Tweet not found'
+    });
+    return null;
+  }
+
+  const author = await User.findById(tweet.user).select('role');
+  if (author && !outranks(req.user, author)) {
+    res.status(403).json({
+      success: false,
+      message: 'You cannot moderate this tweet'
+    });
+    return null;
+  }
+
+  return tweet;
+}
+
+// Helper function to load a user to moderate, who must rank below the
+// current user. Sends an error response and returns null otherwise.
+async function loadTargetUser(req, res) {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (!outranks(req.user, user)) {
+    res.status(403).json({
+      success: false,
+      message: 'You cannot moderate this user'
+    });
+    return null;
+  }
+
+  return user;
+}
+
+module.exports = router;
@@ -0,0 +1,224 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const Notification = require('../models/Notification');
+const { getPage, withPage, paginate } = require('../utils/pagination');
+const { filterMutedNotifications } = require('../utils/filters');
+
+const NOTIFICATION_TYPES = [
+  'like',
+  'retweet',
+  'reply',
+  'quote',
+  'follow',
+  'follow_request',
+  'follow_accept',
+  'mention'
+];
+
+// Number of actors populated on each grouped notification
+const ACTORS_PREVIEW = 3;
+
+// @route   GET /api/notifications
+// @desc    Get notifications for the current user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { type, unread } = req.query;
+
+    // Grouped notifications are bumped when new actors join, so page by updatedAt
+    const page = getPage(req.query, { field: 'updatedAt', defaultLimit: 20 });
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const matchCriteria = { recipient: req.user._id };
+
+    // Filter by notification type(s), e.g. ?type=like,retweet
+    if (type) {
+      const types = type.split(',').filter(t => NOTIFICATION_TYPES.includes(t));
+      if (!types.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid notification type'
+        });
+      }
+      matchCriteria.type = { $in: types };
+    }
+
+    if (unread === 'true') {
+      matchCriteria.read = false;
+    }
+
+    const { items: notifications, nextCursor, prevCursor } = await paginate(
+      Notification.find(withPage(matchCriteria, page))
+        .slice('actors', ACTORS_PREVIEW)
+        .populate('actors', 'name username profileImage')
+        .populate('tweet', 'content'),
+      page
+    );
+
+    res.json({
+      success: true,
+      notifications: filterMutedNotifications(notifications, req.user).map(formatNotification),
+      nextCursor,
+      prevCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get number of unread notifications
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({
+      recipient: req.user._id,
+      read: false
+    });
+
+    res.json({
+      success: true,
+      count
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read
+// @desc    Mark notifications as read (all, or the ones listed in `ids`)
+// @access  Private
+router.put(
+  '/read',
+  [
+    auth,
+    check('ids', 'ids must be an array').optional().isArray(),
+    check('ids.*', 'Invalid notification id').isMongoId()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const { ids } = req.body;
+
+      const matchCriteria = {
+        recipient: req.user._id,
+        read: false
+      };
+
+      if (ids) {
+        matchCriteria._id = { $in: ids };
+      }
+
+      const result = await Notification.updateMany(matchCriteria, {
+        $set: { read: true, readAt: new Date() }
+      });
+
+      res.json({
+        success: true,
+        updated: result.modifiedCount
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    // Check if notification belongs to user
+    if (notification.recipient.toString() !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authorized'
+      });
+    }
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Helper function to add a human-readable message to a notification
+function formatNotification(notification) {
+  const notificationObj = notification.toJSON();
+  const [firstActor] = notificationObj.actors;
+  const othersCount = notificationObj.actorsCount - 1;
+
+  let actorsText = firstActor ? firstActor.username : 'Someone';
+  if (othersCount === 1) {
+    actorsText += ' and 1 other';
+  } else if (othersCount > 1) {
+    actorsText += ` and ${othersCount} others`;
+  }
+
+  const actionText = {
+    like: 'liked your tweet',
+    retweet: 'retweeted your tweet',
+    reply: 'replied to your tweet',
+    quote: 'quoted your tweet',
+    follow: 'followed you',
+    follow_request: 'requested to follow you',
+    follow_accept: 'accepted your follow request',
+    mention: 'mentioned you in a tweet'
+  }[notificationObj.type];
+
+  return {
+    ...notificationObj,
+    message: `${actorsText} ${actionText}`
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const verified = require('../middleware/verified');
+const rateLimit = require('../middleware/rateLimit');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const { findOriginalTweet } = require('../utils/tweets');
+const { getAccessibleAuthor } = require('../utils/visibility');
+
+// @route   POST /api/reports
+// @desc    Report a tweet (`tweetId`) or a user (`userId`) to moderators
+// @access  Private
+router.post(
+  '/',
+  [
+    auth,
+    verified('report'),
+    rateLimit('report'),
+    check('tweetId', 'Invalid tweet id').optional().isMongoId(),
+    check('userId', 'Invalid user id').optional().isMongoId(),
+    check('reason', 'Please choose a valid reason').isIn(Report.REASONS),
+    check('details', 'Details must be at most 1000 characters').optional().isString().isLength({ max: 1000 })
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const { tweetId, userId, reason, details } = req.body;
+
+      if (Boolean(tweetId) === Boolean(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Report either a tweet or a user'
+        });
+      }
+
+      let target;
+
+      if (tweetId) {
+        // Reporting a retweet entry reports the original tweet
+        const tweet = await findOriginalTweet(tweetId);
+        if (!tweet || !(await getAccessibleAuthor(req.user, tweet.user))) {
+          return res.status(404).json({
+            success: false,
+            message: 'Tweet not found'
+          });
+        }
+        target = { targetType: 'tweet', tweet: tweet._id, user: tweet.user };
+      } else {
+        const user = await User.findById(userId);
+        if (!user) {
+          return res.status(404).json({
+            success: false,
+            message: 'User not found'
+          });
+        }
+        target = { targetType: 'user', user: user._id };
+      }
+
+      if (target.user.toString() === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot report yourself'
+        });
+      }
+
+      // One open report per user and target
+      if (await Report.exists({ ...target, reporter: req.user._id, status: 'open' })) {
+        return res.status(409).json({
+          success: false,
+          message: 'You have already reported this'
+        });
+      }
+
+      const report = await new Report({
+        ...target,
+        reporter: req.user._id,
+        reason,
+        details
+      }).save();
+
+      res.status(201).json({
+        success: true,
+        report
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const { normalizeTag } = require('../utils/entities');
+const {
+  escapeRegex,
+  parseSearchQuery,
+  buildTweetSearchCriteria
+} = require('../utils/search');
+const {
+  getPage,
+  withPage,
+  paginate,
+  getOffsetPage,
+  buildOffsetPage
+} = require('../utils/pagination');
+const { tweetPopulate, addUserInteractionInfo } = require('../utils/tweets');
+const {
+  getHiddenUserIds,
+  getTweetVisibility,
+  withVisibleAuthors,
+  filterHiddenTweets
+} = require('../utils/visibility');
+const { getFollowedIds } = require('../utils/follows');
+
+const HOUR = 60 * 60 * 1000;
+
+// A tweet's relevance score halves every RECENCY_HALF_LIFE_HOURS
+const RECENCY_HALF_LIFE_HOURS = parseFloat(process.env.SEARCH_RECENCY_HALF_LIFE_HOURS) || 72;
+
+// Upper bound on ranked user matches considered per query
+const MAX_USER_RESULTS = 200;
+
+// Only hashtags used within this window are suggested
+const HASHTAG_WINDOW_DAYS = 30;
+
+// @route   GET /api/search
+// @desc    Search tweets, users or hashtags
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { q = '', type = 'tweets', sort } = req.query;
+
+    if (!q.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query is required'
+      });
+    }
+
+    // Blocked users (in either direction) and muted users are left out,
+    // as are tweets of protected accounts the user doesn't follow
+    switch (type) {
+      case 'tweets':
+        return await searchTweets(req, res, q, sort, await getTweetVisibility(req.user));
+      case 'users':
+        return await searchUsers(req, res, q, await getHiddenUserIds(req.user));
+      case 'hashtags':
+        return await searchHashtags(req, res, q);
+      default:
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid search type'
+        });
+    }
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Tweets are ranked by text relevance decayed by age, or newest first
+// with `sort=latest` (also used when the query has no free-text terms)
+async function searchTweets(req, res, q, sort, visibility) {
+  const searchCriteria = await buildTweetSearchCriteria(parseSearchQuery(q));
+
+  // Leave out hidden authors, even if named with from:
+  const criteria = searchCriteria && withVisibleAuthors(searchCriteria, visibility);
+
+  const ranked = searchCriteria && searchCriteria.$text && sort !== 'latest';
+
+  if (!ranked) {
+    const page = getPage(req.query);
+    if (!page) {
+      return invalidCursor(res);
+    }
+
+    if (!criteria) {
+      return res.json({ success: true, tweets: [], nextCursor: null, prevCursor: null });
+    }
+
+    const { items: tweets, nextCursor, prevCursor } = await paginate(
+      Tweet.find(withPage(criteria, page)).populate(tweetPopulate),
+      page
+    );
+
+    return res.json({
+      success: true,
+      tweets: await addUserInteractionInfo(filterHiddenTweets(tweets, visibility), req.user),
+      nextCursor,
+      prevCursor
+    });
+  }
+
+  const page = getOffsetPage(req.query);
+  if (!page) {
+    return invalidCursor(res);
+  }
+
+  const decayRate = Math.LN2 / (RECENCY_HALF_LIFE_HOURS * HOUR);
+
+  const ranking = await Tweet.aggregate([
+    { $match: criteria },
+    {
+      $project: {
+        rank: {
+          $multiply: [
+            { $meta: 'textScore' },
+            { $exp: { $multiply: [-decayRate, { $subtract: [new Date(), '$createdAt'] }] } }
+          ]
+        }
+      }
+    },
+    { $sort: { rank: -1, _id: -1 } },
+    { $skip: page.offset },
+    { $limit: page.limit + 1 }
+  ]);
+
+  // Load full documents and restore ranked order
+  const tweetsById = new Map(
+    (await Tweet.find({ _id: { $in: ranking.map(r => r._id) } }).populate(tweetPopulate))
+      .map(tweet => [tweet.id, tweet])
+  );
+  const tweets = ranking
+    .map(r => tweetsById.get(r._id.toString()))
+    .filter(Boolean);
+
+  const { items, nextCursor, prevCursor } = buildOffsetPage(tweets, page.offset, page.limit);
+
+  res.json({
+    success: true,
+    tweets: await addUserInteractionInfo(filterHiddenTweets(items, visibility), req.user),
+    nextCursor,
+    prevCursor
+  });
+}
+
+// Users are ranked: exact username, then username prefix, then text relevance
+async function searchUsers(req, res, q, hiddenIds) {
+  const page = getOffsetPage(req.query);
+  if (!page) {
+    return invalidCursor(res);
+  }
+
+  const term = q.trim().replace(/^@/, '').toLowerCase();
+  const select = '_id name username profileImage bio';
+
+  const [prefixMatches, textMatches] = await Promise.all([
+    User.find({
+      username: { $regex: `^${escapeRegex(term)}` },
+      _id: { $ne: req.user._id, $nin: hiddenIds },
+      ...User.activeCriteria()
+    })
+      .select(select)
+      .sort({ username: 1 })
+      .limit(MAX_USER_RESULTS),
+    User.find(
+      { $text: { $search: q }, _id: { $ne: req.user._id, $nin: hiddenIds }, ...User.activeCriteria() },
+      { score: { $meta: 'textScore' } }
+    )
+      .select(select)
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(MAX_USER_RESULTS)
+  ]);
+
+  const exact = prefixMatches.filter(user => user.username === term);
+  const seen = new Set();
+  const users = [...exact, ...prefixMatches, ...textMatches].filter(user => {
+    if (seen.has(user.id)) return false;
+    seen.add(user.id);
+    return true;
+  });
+
+  const results = users.slice(page.offset, page.offset + page.limit + 1);
+  const { items, nextCursor, prevCursor } = buildOffsetPage(results, page.offset, page.limit);
+  const followedIds = await getFollowedIds(req.user._id, items.map(user => user._id));
+
+  res.json({
+    success: true,
+    users: items.map(user => {
+      const { score, ...userObj } = user.toJSON();
+      return {
+        ...userObj,
+        isFollowing: followedIds.has(user.id)
+      };
+    }),
+    nextCursor,
+    prevCursor
+  });
+}
+
+// Hashtags are matched by prefix and ranked by recent usage
+async function searchHashtags(req, res, q) {
+  const page = getOffsetPage(req.query);
+  if (!page) {
+    return invalidCursor(res);
+  }
+
+  const prefix = new RegExp(`^${escapeRegex(normalizeTag(q.trim()))}`);
+
+  const hashtags = await Tweet.aggregate([
+    {
+      $match: {
+        'entities.hashtags.tag': prefix,
+        createdAt: { $gte: new Date(Date.now() - HASHTAG_WINDOW_DAYS * 24 * HOUR) }
+      }
+    },
+    { $unwind: '$entities.hashtags' },
+    { $match: { 'entities.hashtags.tag': prefix } },
+    {
+      $group: {
+        _id: '$entities.hashtags.tag',
+        tweetsCount: { $sum: 1 },
+        lastUsedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { tweetsCount: -1, lastUsedAt: -1 } },
+    { $skip: page.offset },
+    { $limit: page.limit + 1 },
+    { $project: { _id: 0, tag: '$_id', tweetsCount: 1, lastUsedAt: 1 } }
+  ]);
+
+  const { items, nextCursor, prevCursor } = buildOffsetPage(hashtags, page.offset, page.limit);
+
+  res.json({
+    success: true,
+    hashtags: items,
+    nextCursor,
+    prevCursor
+  });
+}
+
+function invalidCursor(res) {
+  return res.status(400).json({
+    success: false,
+    message: 'Invalid cursor'
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const eventStream = require('../utils/eventStream');
+const { getVisibleTweetIds } = require('../utils/visibility');
+
+// Interval between keep-alive comments, so proxies don't drop idle streams
+const HEARTBEAT_INTERVAL = 25000;
+
+// Maximum number of tweets a single connection can watch for count updates
+const MAX_WATCHED_TWEETS = 200;
+
+// EventSource can't set headers, so also accept the JWT as ?token=
+const streamAuth = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  auth(req, res, next);
+};
+
+// Parse a comma-separated list (or an array) of tweet ids; null if it is
+// neither
+const parseTweetIds = value => {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return typeof value === 'string' ? value.split(',').filter(Boolean) : null;
+};
+
+// @route   GET /api/stream
+// @desc    Server-Sent Events stream of new tweets, tweet counts and notifications
+// @access  Private
+router.get('/', streamAuth, async (req, res) => {
+  const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+
+  const requestedIds = parseTweetIds(req.query.tweets);
+  if (!requestedIds) {
+    return res.status(400).json({
+      success: false,
+      message: 'tweets must be a comma-separated list of tweet ids'
+    });
+  }
+
+  // Only tweets the user may see can be watched, since count and edit
+  // updates carry their content
+  let tweetIds;
+  try {
+    tweetIds = await getVisibleTweetIds(req.user, requestedIds.slice(0, MAX_WATCHED_TWEETS));
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Tell the client how long to wait before reconnecting
+  res.write('retry: 5000\n\n');
+
+  const connection = eventStream.subscribe(res, {
+    userId: req.user._id,
+    tweetIds,
+    since: lastEventId !== undefined ? parseInt(lastEventId, 10) : undefined
+  });
+
+  // Give the client its connection id so it can change watched tweets
+  res.write(`event: ready\ndata: ${JSON.stringify({ connectionId: connection.id })}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventStream.unsubscribe(connection.id);
+  });
+});
+
+// @route   PUT /api/stream/:connectionId/watch
+// @desc    Set the tweets a stream connection receives count updates for
+// @access  Private
+router.put('/:connectionId/watch', auth, async (req, res) => {
+  try {
+    const connection = eventStream.getConnection(req.params.connectionId);
+
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stream connection not found'
+      });
+    }
+
+    // Check if connection belongs to user
+    if (connection.userId !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authorized'
+      });
+    }
+
+    const tweetIds = parseTweetIds(req.body.tweetIds);
+    if (!tweetIds) {
+      return res.status(400).json({
+        success: false,
+        message: 'tweetIds must be an array or a comma-separated list of tweet ids'
+      });
+    }
+
+    if (tweetIds.length > MAX_WATCHED_TWEETS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can watch at most ${MAX_WATCHED_TWEETS} tweets`
+      });
+    }
+
+    // Tweets the user can't see are left out
+    const visibleIds = await getVisibleTweetIds(req.user, tweetIds);
+    connection.tweetIds = new Set(visibleIds);
+
+    res.json({
+      success: true,
+      tweetIds: visibleIds
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Tweet = require('../models/Tweet');
+
+const HOUR = 60 * 60 * 1000;
+
+// Only tweets inside the window count towards a trend
+const WINDOW_HOURS = parseFloat(process.env.TRENDS_WINDOW_HOURS) || 24;
+
+// A tweet's contribution to its hashtags' scores halves every HALF_LIFE_HOURS
+const HALF_LIFE_HOURS = parseFloat(process.env.TRENDS_HALF_LIFE_HOURS) || 4;
+
+// How long computed trends are reused before aggregating again
+const CACHE_TTL = 60 * 1000;
+
+const MAX_TRENDS = 30;
+
+let cache = null;
+
+// @route   GET /api/trends
+// @desc    Get trending hashtags, scored with exponential time decay
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, MAX_TRENDS);
+
+    if (!cache || cache.expiresAt < Date.now()) {
+      cache = {
+        trends: await computeTrends(new Date()),
+        expiresAt: Date.now() + CACHE_TTL
+      };
+    }
+
+    res.json({
+      success: true,
+      trends: cache.trends.slice(0, limit)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Helper function to score hashtags: each tweet adds 0.5^(age / half-life)
+async function computeTrends(now) {
+  const decayRate = Math.LN2 / (HALF_LIFE_HOURS * HOUR);
+
+  const trends = await Tweet.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: new Date(now - WINDOW_HOURS * HOUR) },
+        'entities.hashtags.0': { $exists: true }
+      }
+    },
+    { $unwind: '$entities.hashtags' },
+    // Count a hashtag once per tweet, however often it's repeated
+    {
+      $group: {
+        _id: { tag: '$entities.hashtags.tag', tweet: '$_id' },
+        user: { $first: '$user' },
+        createdAt: { $first: '$createdAt' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.tag',
+        score: {
+          $sum: {
+            $exp: { $multiply: [-decayRate, { $subtract: [now, '$createdAt'] }] }
+          }
+        },
+        tweetsCount: { $sum: 1 },
+        users: { $addToSet: '$user' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        tag: '$_id',
+        score: { $round: ['$score', 3] },
+        tweetsCount: 1,
+        usersCount: { $size: '$users' }
+      }
+    },
+    { $sort: { score: -1, tweetsCount: -1 } },
+    { $limit: MAX_TRENDS }
+  ]);
+
+  return trends;
+}
+
+module.exports = router;
@@ -3,18 +3,105 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const verified = require('../middleware/verified');
+const rateLimit = require('../middleware/rateLimit');
 const Tweet = require('../models/Tweet');
 const User = require('../models/User');
+const Draft = require('../models/Draft');
+const TweetVersion = require('../models/TweetVersion');
+const Like = require('../models/Like');
 const mongoose = require('mongoose');
+const {
+  createNotification,
+  removeNotification,
+  notifyMentions
+} = require('../utils/notifications');
+const {
+  getPage,
+  withPage,
+  paginate,
+  getOffsetPage,
+  parseLimit
+} = require('../utils/pagination');
+const {
+  userFields,
+  tweetPopulate,
+  findOriginalTweet,
+  findTimelinePage,
+  removeTweet,
+  updateParentCounts,
+  likeTweet,
+  unlikeTweet,
+  retweetTweet,
+  unretweetTweet,
+  publishNewTweet,
+  publishTweetCounts,
+  publishTweetEdit,
+  addUserInteractionInfo,
+  addThreadTweets
+} = require('../utils/tweets');
+const {
+  ComposeError,
+  buildTweetFields,
+  screenTweet,
+  applySpamVerdict,
+  createTweet
+} = require('../utils/compose');
+const { flagTweet } = require('../utils/spam');
+const { filterMutedTweets } = require('../utils/filters');
+const { toDraftFields } = require('../utils/drafts');
+const { findForYouPage } = require('../utils/feed');
+const {
+  loadAncestors,
+  getConversationAuthor,
+  buildReplyTree
+} = require('../utils/thread');
+const {
+  includesId,
+  getBlockedUserIds,
+  getTweetVisibility,
+  withVisibleAuthors,
+  isHiddenAuthor,
+  canViewTweetsOf,
+  getAccessibleAuthor,
+  isBlockedBetween,
+  filterHiddenTweets
+} = require('../utils/visibility');
+
+// Reply tree limits for the thread view: levels below the tweet, and
+// replies shown per tweet before a "load more" cursor
+const DEFAULT_THREAD_DEPTH = 3;
+const MAX_THREAD_DEPTH = 5;
+const DEFAULT_THREAD_BRANCHES = 3;
+
+// Most tweets accepted by POST /api/tweets/thread
+const MAX_THREAD_LENGTH = 25;
+
+// Authors may edit a tweet for this long after posting it
+const EDIT_WINDOW_MINUTES = parseFloat(process.env.TWEET_EDIT_WINDOW_MINUTES) || 30;
+
+// Content and media checks shared by creating and editing a tweet
+const contentChecks = [
+  check('content', 'Content must be at most 280 characters').optional().isString().isLength({ max: 280 }),
+  check('media', 'A tweet can have at most 4 media items').optional().isArray({ max: 4 }),
+  check('media.*.id', 'Invalid media id').isMongoId(),
+  check('media.*.altText', 'Alt text must be at most 1000 characters').optional().isLength({ max: 1000 })
+];
 
 // @route   POST /api/tweets
-// @desc    Create a tweet
+// @desc    Create a tweet, or schedule it when `scheduledAt` is given
 // @access  Private
 router.post(
   '/',
   [
     auth,
-    check('content', 'Content is required').not().isEmpty().isLength({ max: 280 })
+    verified('tweet'),
+    rateLimit('tweet'),
+    ...contentChecks,
+    check('replyToId', 'Invalid tweet id').optional().isMongoId(),
+    check('quoteTweetId', 'Invalid tweet id').optional().isMongoId(),
+    check('scheduledAt', 'Scheduled time must be a date in the future').optional().isISO8601()
+      .custom(value => new Date(value) > new Date())
   ],
   async (req, res) => {
     // Check for validation errors
@@ -27,42 +114,150 @@ router.post(
     }
 
     try {
-      const { content, image, replyToId } = req.body;
+      // Scheduled tweets are checked now and saved for the scheduler
+      if (req.body.scheduledAt) {
+        await buildTweetFields(req.body, req.user._id);
 
-      // Create new tweet
-      const newTweet = new Tweet({
-        content,
-        user: req.user.id,
-        image: image || ''
+        const scheduled = await new Draft({
+          ...toDraftFields(req.body),
+          user: req.user._id,
+          status: 'scheduled',
+          scheduledAt: new Date(req.body.scheduledAt)
+        }).save();
+
+        return res.status(202).json({
+          success: true,
+          scheduled
+        });
+      }
+
+      const tweet = await createTweet(req.user, req.body);
+
+      res.status(201).json({
+        success: true,
+        tweet
+      });
+    } catch (error) {
+      if (error instanceof ComposeError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/tweets/thread
+// @desc    Create a self-thread: several tweets, each replying to the one
+//          before. Parts written before a failed insert are removed again.
+// @access  Private
+router.post(
+  '/thread',
+  [
+    auth,
+    verified('tweet'),
+    rateLimit('tweet'),
+    check('tweets', `A thread must have between 2 and ${MAX_THREAD_LENGTH} tweets`).isArray({ min: 2, max: MAX_THREAD_LENGTH }),
+    check('tweets.*', 'Each tweet must be an object').isObject(),
+    check('tweets.*.content', 'Content must be at most 280 characters').optional().isString().isLength({ max: 280 }),
+    check('tweets.*.media', 'A tweet can have at most 4 media items').optional().isArray({ max: 4 }),
+    check('tweets.*.media.*.id', 'Invalid media id').isMongoId(),
+    check('tweets.*.media.*.altText', 'Alt text must be at most 1000 characters').optional().isLength({ max: 1000 })
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
       });
+    }
 
-      // If it's a reply, add replyTo field
-      if (replyToId) {
-        const originalTweet = await Tweet.findById(replyToId);
-        if (!originalTweet) {
-          return res.status(404).json({
+    try {
+      const parts = [];
+      const verdicts = [];
+      for (const [position, body] of req.body.tweets.entries()) {
+        try {
+          const fields = await buildTweetFields(body, req.user._id);
+          parts.push(fields);
+          verdicts.push(await screenTweet(req.user, fields));
+        } catch (error) {
+          if (!(error instanceof ComposeError)) throw error;
+          return res.status(error.status).json({
             success: false,
-            message: 'Tweet to reply to not found'
+            message: `Tweet ${position + 1}: ${error.message}`
           });
         }
-        newTweet.replyTo = replyToId;
       }
 
-      const tweet = await newTweet.save();
-      
-      // Populate user info
-      await tweet.populate('user', 'name username profileImage');
-      
-      if (tweet.replyTo) {
-        await tweet.populate({
-          path: 'replyTo',
-          populate: { path: 'user', select: 'username' }
+      // Ids are assigned up front so each tweet can point at the one before
+      const rootId = new mongoose.Types.ObjectId();
+      const newTweets = parts.map((fields, position) => new Tweet({
+        ...fields,
+        _id: position === 0 ? rootId : new mongoose.Types.ObjectId(),
+        user: req.user.id,
+        authorProtected: req.user.protected || undefined,
+        thread: { root: rootId, position, count: parts.length }
+      }));
+      newTweets.slice(1).forEach((tweet, index) => {
+        tweet.replyTo = newTweets[index]._id;
+      });
+
+      // If the spam filter holds back any part, it holds back the whole thread
+      const heldBack = verdicts.find(verdict => verdict && verdict.action === 'shadow_hide');
+      newTweets.forEach(tweet => applySpamVerdict(tweet, heldBack));
+
+      // Each tweet but the last has the next one as its reply
+      if (!heldBack) {
+        newTweets.slice(0, -1).forEach(tweet => {
+          tweet.repliesCount = 1;
         });
       }
 
+      // Validate everything before writing, then insert in one batch and
+      // remove whatever was written if the batch fails part way
+      await Promise.all(newTweets.map(tweet => tweet.validate()));
+      try {
+        await Tweet.insertMany(newTweets, { ordered: true });
+      } catch (error) {
+        await Tweet.deleteMany({ _id: { $in: newTweets.map(tweet => tweet._id) } });
+        throw error;
+      }
+
+      for (const [position, verdict] of verdicts.entries()) {
+        if (verdict) {
+          await flagTweet(newTweets[position], verdict);
+        }
+      }
+
+      const tweets = await Tweet.find({ 'thread.root': rootId })
+        .setOptions({ viewer: req.user._id })
+        .populate(tweetPopulate)
+        .sort({ 'thread.position': 1 });
+
+      // Shadow-hidden threads reach nobody but their author
+      if (!heldBack) {
+        // Notify mentioned users once, for the first tweet mentioning them
+        const notified = [];
+        for (const tweet of newTweets) {
+          await notifyMentions(tweet, req.user._id, notified);
+          notified.push(...tweet.entities.mentions.map(mention => mention.user));
+        }
+
+        // Followers get the first tweet; the rest arrive with it as replies
+        await publishNewTweet(tweets[0], req.user);
+      }
+
       res.status(201).json({
         success: true,
-        tweet
+        tweets
       });
     } catch (error) {
       console.error(error);
@@ -75,30 +270,62 @@ router.post(
 );
 
 // @route   GET /api/tweets
-// @desc    Get tweets (timeline, user tweets, search)
+// @desc    Get tweets (timeline, user tweets, search). The home timeline is
+//          chronological, or ranked with `feed=foryou`.
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const { username, query, type, replyToId, page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
+    const { username, query, type, replyToId, feed = 'following' } = req.query;
+
+    if (!['following', 'foryou'].includes(feed)) {
+      return res.status(400).json({
+        success: false,
+        message: 'feed must be "following" or "foryou"'
+      });
+    }
+
+    const isHomeTimeline = !username && !query && !replyToId && (!type || type === 'tweets');
+    const isForYou = isHomeTimeline && feed === 'foryou';
+
+    // The ranked feed pages by offset
+    const page = isForYou ? getOffsetPage(req.query) : getPage(req.query);
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+    
+    // Blocked users (in either direction), muted users and protected
+    // accounts the user doesn't follow are left out
+    const blockedIds = await getBlockedUserIds(req.user);
+    const visibility = await getTweetVisibility(req.user, {
+      hiddenIds: [...blockedIds, ...req.user.muted]
+    });
     
     let matchCriteria = {};
     
     // Filter by username
     if (username) {
       const user = await User.findOne({ username });
-      if (!user) {
+      if (!user || user.isInactive() || includesId(blockedIds, user._id)) {
         return res.status(404).json({
           success: false,
           message: 'User not found'
         });
       }
+      if (!(await canViewTweetsOf(req.user, user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'This account is protected'
+        });
+      }
       matchCriteria.user = user._id;
     }
     
-    // Filter by search query
+    // Filter by search query (see GET /api/search for ranked search)
     if (query) {
-      matchCriteria.content = { $regex: query, $options: 'i' };
+      matchCriteria.$text = { $search: query };
     }
     
     // Filter by tweet type
@@ -108,34 +335,38 @@ router.get('/', auth, async (req, res) => {
           // Include only tweets and replies
           break;
         case 'media':
-          matchCriteria.image = { $ne: '' };
+          matchCriteria['media.0'] = { $exists: true };
           break;
         case 'likes':
           if (username) {
             const user = await User.findOne({ username });
-            if (!user) {
+            if (!user || user.isInactive() || includesId(blockedIds, user._id)) {
               return res.status(404).json({
                 success: false,
                 message: 'User not found'
               });
             }
-            // Get tweets liked by user
-            const likedTweets = await Tweet.find({ _id: { $in: user.likes } })
-              .populate('user', 'name username profileImage')
-              .populate({
-                path: 'replyTo',
-                populate: { path: 'user', select: 'username' }
-              })
-              .sort({ createdAt: -1 })
-              .skip(skip)
-              .limit(parseInt(limit));
+            // Get tweets liked by user, most recently liked first
+            const { items: likes, nextCursor, prevCursor } = await paginate(
+              Like.find(withPage({ user: user._id }, page))
+                .populate({ path: 'tweet', populate: tweetPopulate }),
+              page
+            );
+            const likedTweets = likes
+              .map(like => like.tweet)
+              .filter(tweet => tweet && tweet.user && !isHiddenAuthor(tweet.user, visibility));
             
             // Add isLiked and isRetweeted properties
-            const tweetsWithUserInfo = await addUserInteractionInfo(likedTweets, req.user);
+            const tweetsWithUserInfo = await addUserInteractionInfo(
+              filterMutedTweets(filterHiddenTweets(likedTweets, visibility), req.user),
+              req.user
+            );
             
             return res.json({
               success: true,
-              tweets: tweetsWithUserInfo
+              tweets: tweetsWithUserInfo,
+              nextCursor,
+              prevCursor
             });
           }
           break;
@@ -153,41 +384,47 @@ router.get('/', auth, async (req, res) => {
       matchCriteria.replyTo = { $exists: false };
     }
     
+    // Self-threads are listed once, by their first tweet
+    if (!replyToId) {
+      matchCriteria['thread.position'] = { $not: { $gt: 0 } };
+    }
+    
     // Get tweets based on criteria
-    let tweets;
+    let result;
     
-    if (!username && !query && !replyToId && (!type || type === 'tweets')) {
-      // For home timeline, get tweets from users that the current user follows
-      const followingIds = req.user.following;
-      followingIds.push(req.user._id); // Include user's own tweets
+    if (isForYou) {
+      // Ranked tweets from followed accounts and the accounts they follow
+      result = await findForYouPage(req.user, visibility, page);
+    } else if (isHomeTimeline) {
+      // For home timeline, get tweets and retweets from users that the current user follows
+      const { followingIds } = visibility; // Includes the user's own tweets
       
-      tweets = await Tweet.find({ 
-        user: { $in: followingIds },
-        replyTo: { $exists: false }
-      })
-        .populate('user', 'name username profileImage')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit));
+      result = await findTimelinePage(followingIds, visibility, page, req.user);
     } else {
-      // For other queries
-      tweets = await Tweet.find(matchCriteria)
-        .populate('user', 'name username profileImage')
-        .populate({
-          path: 'replyTo',
-          populate: { path: 'user', select: 'username' }
-        })
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit));
+      // For other queries. A user's profile shows all their tweets; they
+      // were checked above.
+      result = await paginate(
+        Tweet.find(withPage(username ? matchCriteria : withVisibleAuthors(matchCriteria, visibility), page))
+          .setOptions({ viewer: req.user._id })
+          .populate(tweetPopulate),
+        page
+      );
     }
     
-    // Add isLiked and isRetweeted properties
-    const tweetsWithUserInfo = await addUserInteractionInfo(tweets, req.user);
+    // Leave out tweets with muted words
+    const tweets = filterMutedTweets(filterHiddenTweets(result.items, visibility), req.user);
+    
+    // Add isLiked and isRetweeted properties, and the rest of any self-thread
+    const tweetsWithUserInfo = await addThreadTweets(
+      await addUserInteractionInfo(tweets, req.user),
+      req.user
+    );
     
     res.json({
       success: true,
-      tweets: tweetsWithUserInfo
+      tweets: tweetsWithUserInfo,
+      nextCursor: result.nextCursor,
+      prevCursor: result.prevCursor
     });
   } catch (error) {
     console.error(error);
@@ -204,49 +441,342 @@ router.get('/', auth, async (req, res) => {
 router.get('/:id', auth, async (req, res) => {
   try {
     const tweet = await Tweet.findById(req.params.id)
-      .populate('user', 'name username profileImage')
-      .populate({
-        path: 'replyTo',
-        populate: { path: 'user', select: 'name username profileImage' }
-      });
+      .setOptions({ viewer: req.user._id })
+      .populate(tweetPopulate);
     
-    if (!tweet) {
+    if (!tweet || !tweet.user || await isBlockedBetween(req.user, tweet.user._id)) {
       return res.status(404).json({
         success: false,
         message: 'Tweet not found'
       });
     }
     
-    // Get reply/retweet/like counts
-    const commentsCount = await Tweet.countDocuments({ replyTo: tweet._id });
-    const likesCount = tweet.likes.length;
-    const retweetsCount = tweet.retweets.length;
+    if (!(await canViewTweetsOf(req.user, tweet.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This tweet is from a protected account'
+      });
+    }
     
-    // Check if user has liked or retweeted
-    const isLiked = tweet.likes.includes(req.user.id);
-    const isRetweeted = tweet.retweets.includes(req.user.id);
+    // Add counts, isLiked/isRetweeted and replyToUser info
+    const visibility = await getTweetVisibility(req.user, {
+      hiddenIds: await getBlockedUserIds(req.user)
+    });
+    const [tweetWithUserInfo] = await addUserInteractionInfo(
+      filterHiddenTweets([tweet], visibility),
+      req.user
+    );
     
-    // If it's a reply, add replyToUser info
-    let replyToUser = null;
-    if (tweet.replyTo) {
-      replyToUser = {
-        _id: tweet.replyTo.user._id,
-        name: tweet.replyTo.user.name,
-        username: tweet.replyTo.user.username
-      };
+    if (!tweetWithUserInfo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tweet not found'
+      });
     }
     
     res.json({
       success: true,
-      tweet: {
-        ...tweet.toJSON(),
-        commentsCount,
-        likesCount,
-        retweetsCount,
-        isLiked,
-        isRetweeted,
-        replyToUser
-      }
+      tweet: tweetWithUserInfo
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/tweets/:id/quotes
+// @desc    Get tweets quoting a tweet
+// @access  Private
+router.get('/:id/quotes', auth, async (req, res) => {
+  try {
+    const page = getPage(req.query);
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const tweet = await findOriginalTweet(req.params.id);
+
+    if (!tweet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tweet not found'
+      });
+    }
+
+    const visibility = await getTweetVisibility(req.user);
+
+    const { items: quotes, nextCursor, prevCursor } = await paginate(
+      Tweet.find(withPage(withVisibleAuthors({ quoteTweet: tweet._id }, visibility), page))
+        .populate(tweetPopulate),
+      page
+    );
+
+    const tweetsWithUserInfo = await addUserInteractionInfo(
+      filterHiddenTweets(quotes, visibility),
+      req.user
+    );
+
+    res.json({
+      success: true,
+      tweets: tweetsWithUserInfo,
+      nextCursor,
+      prevCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/tweets/:id/thread
+// @desc    Get a tweet with the replies above it and a tree of replies below
+// @access  Private
+router.get('/:id/thread', auth, async (req, res) => {
+  try {
+    const tweet = await loadThreadTweet(req, res);
+    if (!tweet) return;
+
+    const visibility = await getTweetVisibility(req.user);
+    const [ancestors, authorId] = await Promise.all([
+      loadAncestors(tweet, req.user, visibility),
+      getConversationAuthor(tweet)
+    ]);
+
+    const [tweetWithUserInfo] = await addUserInteractionInfo(
+      filterHiddenTweets([tweet], visibility),
+      req.user
+    );
+
+    const { replies, nextCursor } = await buildReplyTree(tweet._id, req.user, {
+      ...getThreadOptions(req.query),
+      authorId,
+      visibility
+    });
+
+    res.json({
+      success: true,
+      ancestors,
+      tweet: tweetWithUserInfo,
+      replies,
+      nextCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/tweets/:id/replies
+// @desc    Load more replies below a tweet in a thread, as a tree
+// @access  Private
+router.get('/:id/replies', auth, async (req, res) => {
+  try {
+    const page = getOffsetPage(req.query);
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const tweet = await loadThreadTweet(req, res);
+    if (!tweet) return;
+
+    const visibility = await getTweetVisibility(req.user);
+    const authorId = await getConversationAuthor(tweet);
+
+    const { replies, nextCursor } = await buildReplyTree(tweet._id, req.user, {
+      ...getThreadOptions(req.query),
+      offset: page.offset,
+      authorId,
+      visibility
+    });
+
+    res.json({
+      success: true,
+      replies,
+      nextCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/tweets/:id
+// @desc    Edit a tweet's content or media within the edit window
+// @access  Private
+router.patch('/:id', [auth, ...contentChecks], async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    // Authors can edit their own shadow-hidden tweets
+    const tweet = await Tweet.findById(req.params.id).setOptions({ viewer: req.user._id });
+
+    if (!tweet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tweet not found'
+      });
+    }
+
+    // Check if tweet belongs to user
+    if (tweet.user.toString() !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authorized'
+      });
+    }
+
+    if (tweet.retweetData) {
+      return res.status(400).json({
+        success: false,
+        message: 'Retweets cannot be edited'
+      });
+    }
+
+    if (Date.now() - tweet.createdAt.getTime() > EDIT_WINDOW_MINUTES * 60 * 1000) {
+      return res.status(403).json({
+        success: false,
+        message: 'This tweet can no longer be edited'
+      });
+    }
+
+    // Fields left out of the request keep their current value
+    const fields = await buildTweetFields({
+      content: req.body.content !== undefined ? req.body.content : tweet.content,
+      media: req.body.media !== undefined
+        ? req.body.media
+        : tweet.media.map(item => ({ id: item.media, altText: item.altText }))
+    }, req.user._id);
+
+    // Edits go through the same spam check as new tweets
+    const verdict = await screenTweet(req.user, fields, { editing: tweet });
+    // Only a moderator can lift a hold, so a clean edit leaves it in place
+    const heldBack = !tweet.shadowHidden && verdict && verdict.action === 'shadow_hide';
+
+    // Keep the current version before replacing it
+    const previous = tweet.toObject();
+    const version = await new TweetVersion({
+      tweet: tweet._id,
+      content: previous.content,
+      media: previous.media,
+      entities: previous.entities,
+      createdAt: tweet.editedAt || tweet.createdAt
+    }).save();
+
+    const mentionedBefore = tweet.entities.mentions.map(mention => mention.user);
+
+    tweet.set(fields);
+    tweet.editedAt = new Date();
+    if (heldBack) {
+      tweet.shadowHidden = true;
+    }
+    try {
+      await tweet.save();
+    } catch (error) {
+      // The edit didn't happen, so neither did the version it replaced
+      await version.deleteOne();
+      throw error;
+    }
+
+    if (verdict) {
+      await flagTweet(tweet, verdict);
+    }
+
+    // Shadow-hidden tweets aren't counted as replies or quotes
+    if (heldBack) {
+      await updateParentCounts(tweet, -1);
+    }
+
+    await tweet.populate(tweetPopulate);
+
+    // Shadow-hidden tweets reach nobody but their author
+    if (!tweet.shadowHidden) {
+      // Only users mentioned for the first time are notified
+      await notifyMentions(tweet, req.user._id, mentionedBefore);
+      publishTweetEdit(tweet);
+    }
+
+    const [tweetWithUserInfo] = await addUserInteractionInfo([tweet], req.user);
+
+    res.json({
+      success: true,
+      tweet: tweetWithUserInfo
+    });
+  } catch (error) {
+    if (error instanceof ComposeError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/tweets/:id/history
+// @desc    Get a tweet's earlier versions, newest first
+// @access  Private
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const tweet = await Tweet.findById(req.params.id)
+      .setOptions({ viewer: req.user._id })
+      .populate('user', userFields);
+
+    if (!tweet || !tweet.user || await isBlockedBetween(req.user, tweet.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tweet not found'
+      });
+    }
+
+    if (!(await canViewTweetsOf(req.user, tweet.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This tweet is from a protected account'
+      });
+    }
+
+    const versions = await TweetVersion.find({ tweet: tweet._id })
+      .select('-tweet')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      current: {
+        content: tweet.content,
+        media: tweet.media,
+        entities: tweet.entities,
+        createdAt: tweet.editedAt || tweet.createdAt
+      },
+      versions
     });
   } catch (error) {
     console.error(error);
@@ -262,7 +792,8 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const tweet = await Tweet.findById(req.params.id);
+    // Authors can still delete tweets a moderator has hidden
+    const tweet = await Tweet.findById(req.params.id).setOptions({ includeHidden: true });
     
     if (!tweet) {
       return res.status(404).json({
@@ -279,7 +810,7 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
     
-    await tweet.deleteOne();
+    await removeTweet(tweet);
     
     res.json({
       success: true,
@@ -297,9 +828,9 @@ router.delete('/:id', auth, async (req, res) => {
 // @route   POST /api/tweets/:id/like
 // @desc    Like a tweet
 // @access  Private
-router.post('/:id/like', auth, async (req, res) => {
+router.post('/:id/like', auth, verified('like'), rateLimit('like'), async (req, res) => {
   try {
-    const tweet = await Tweet.findById(req.params.id);
+    const tweet = await findOriginalTweet(req.params.id);
     
     if (!tweet) {
       return res.status(404).json({
@@ -308,22 +839,29 @@ router.post('/:id/like', auth, async (req, res) => {
       });
     }
     
-    // Check if tweet has already been liked
-    if (tweet.likes.includes(req.user.id)) {
+    if (!(await getAccessibleAuthor(req.user, tweet.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot like this tweet'
+      });
+    }
+    
+    const liked = await likeTweet(tweet, req.user._id);
+    if (!liked) {
       return res.status(400).json({
         success: false,
         message: 'Tweet already liked'
       });
     }
-    
-    // Add user to tweet likes
-    tweet.likes.unshift(req.user.id);
-    await tweet.save();
-    
-    // Add tweet to user likes
-    await User.findByIdAndUpdate(req.user.id, {
-      $push: { likes: tweet._id }
+
+    await createNotification({
+      recipient: tweet.user,
+      actor: req.user._id,
+      type: 'like',
+      tweet: tweet._id
     });
+
+    await publishTweetCounts(liked);
     
     res.json({
       success: true,
@@ -341,9 +879,9 @@ router.post('/:id/like', auth, async (req, res) => {
 // @route   POST /api/tweets/:id/unlike
 // @desc    Unlike a tweet
 // @access  Private
-router.post('/:id/unlike', auth, async (req, res) => {
+router.post('/:id/unlike', auth, rateLimit('like'), async (req, res) => {
   try {
-    const tweet = await Tweet.findById(req.params.id);
+    const tweet = await findOriginalTweet(req.params.id);
     
     if (!tweet) {
       return res.status(404).json({
@@ -352,24 +890,22 @@ router.post('/:id/unlike', auth, async (req, res) => {
       });
     }
     
-    // Check if tweet has not been liked
-    if (!tweet.likes.includes(req.user.id)) {
+    const unliked = await unlikeTweet(tweet, req.user._id);
+    if (!unliked) {
       return res.status(400).json({
         success: false,
         message: 'Tweet has not been liked'
       });
     }
-    
-    // Remove user from tweet likes
-    tweet.likes = tweet.likes.filter(
-      like => like.toString() !== req.user.id
-    );
-    await tweet.save();
-    
-    // Remove tweet from user likes
-    await User.findByIdAndUpdate(req.user.id, {
-      $pull: { likes: tweet._id }
+
+    await removeNotification({
+      recipient: tweet.user,
+      actor: req.user._id,
+      type: 'like',
+      tweet: tweet._id
     });
+
+    await publishTweetCounts(unliked);
     
     res.json({
       success: true,
@@ -387,9 +923,9 @@ router.post('/:id/unlike', auth, async (req, res) => {
 // @route   POST /api/tweets/:id/retweet
 // @desc    Retweet a tweet
 // @access  Private
-router.post('/:id/retweet', auth, async (req, res) => {
+router.post('/:id/retweet', auth, verified('retweet'), rateLimit('retweet'), async (req, res) => {
   try {
-    const tweet = await Tweet.findById(req.params.id);
+    const tweet = await findOriginalTweet(req.params.id);
     
     if (!tweet) {
       return res.status(404).json({
@@ -398,26 +934,41 @@ router.post('/:id/retweet', auth, async (req, res) => {
       });
     }
     
-    // Check if tweet has already been retweeted by user
-    if (tweet.retweets.includes(req.user.id)) {
+    // Protected tweets can't be retweeted, except by their author
+    const author = await getAccessibleAuthor(req.user, tweet.user);
+    if (!author || (author.protected && author.id !== req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot retweet this tweet'
+      });
+    }
+    
+    // Create the retweet entry shown in followers' timelines
+    const retweeted = await retweetTweet(tweet, req.user);
+    if (!retweeted) {
       return res.status(400).json({
         success: false,
         message: 'Tweet already retweeted'
       });
     }
-    
-    // Add user to tweet retweets
-    tweet.retweets.unshift(req.user.id);
-    await tweet.save();
-    
-    // Add tweet to user retweets
-    await User.findByIdAndUpdate(req.user.id, {
-      $push: { retweets: tweet._id }
+    const { retweet } = retweeted;
+    await retweet.populate(tweetPopulate);
+
+    await publishNewTweet(retweet, req.user);
+
+    await createNotification({
+      recipient: tweet.user,
+      actor: req.user._id,
+      type: 'retweet',
+      tweet: tweet._id
     });
+
+    await publishTweetCounts(retweeted.tweet);
     
     res.json({
       success: true,
-      message: 'Tweet retweeted'
+      message: 'Tweet retweeted',
+      tweet: retweet
     });
   } catch (error) {
     console.error(error);
@@ -431,9 +982,9 @@ router.post('/:id/retweet', auth, async (req, res) => {
 // @route   POST /api/tweets/:id/unretweet
 // @desc    Unretweet a tweet
 // @access  Private
-router.post('/:id/unretweet', auth, async (req, res) => {
+router.post('/:id/unretweet', auth, rateLimit('retweet'), async (req, res) => {
   try {
-    const tweet = await Tweet.findById(req.params.id);
+    const tweet = await findOriginalTweet(req.params.id);
     
     if (!tweet) {
       return res.status(404).json({
@@ -442,24 +993,23 @@ router.post('/:id/unretweet', auth, async (req, res) => {
       });
     }
     
-    // Check if tweet has not been retweeted
-    if (!tweet.retweets.includes(req.user.id)) {
+    // Remove the retweet entry
+    const unretweeted = await unretweetTweet(tweet, req.user._id);
+    if (!unretweeted) {
       return res.status(400).json({
         success: false,
         message: 'Tweet has not been retweeted'
       });
     }
-    
-    // Remove user from tweet retweets
-    tweet.retweets = tweet.retweets.filter(
-      retweet => retweet.toString() !== req.user.id
-    );
-    await tweet.save();
-    
-    // Remove tweet from user retweets
-    await User.findByIdAndUpdate(req.user.id, {
-      $pull: { retweets: tweet._id }
+
+    await removeNotification({
+      recipient: tweet.user,
+      actor: req.user._id,
+      type: 'retweet',
+      tweet: tweet._id
     });
+
+    await publishTweetCounts(unretweeted);
     
     res.json({
       success: true,
@@ -474,40 +1024,41 @@ router.post('/:id/unretweet', auth, async (req, res) => {
   }
 });
 
-// Helper function to add user interaction info to tweets
-async function addUserInteractionInfo(tweets, user) {
-  return Promise.all(tweets.map(async tweet => {
-    const tweetObj = tweet.toJSON ? tweet.toJSON() : tweet;
-    
-    // Check if user has liked the tweet
-    const isLiked = tweet.likes.includes(user._id);
-    
-    // Check if user has retweeted the tweet
-    const isRetweeted = tweet.retweets.includes(user._id);
-    
-    // Get counts
-    const commentsCount = await Tweet.countDocuments({ replyTo: tweet._id });
-    
-    // Add replyToUser if it's a reply
-    let replyToUser = null;
-    if (tweet.replyTo) {
-      replyToUser = {
-        _id: tweet.replyTo.user._id,
-        name: tweet.replyTo.user.name,
-        username: tweet.replyTo.user.username
-      };
-    }
-    
-    return {
-      ...tweetObj,
-      isLiked,
-      isRetweeted,
-      likesCount: tweet.likes.length,
-      retweetsCount: tweet.retweets.length,
-      commentsCount,
-      replyToUser
-    };
-  }));
+// Helper function to load the tweet a thread is centred on. Retweet entries
+// resolve to the original. Sends an error response and returns null when
+// the tweet doesn't exist or can't be shown to the user.
+async function loadThreadTweet(req, res) {
+  const tweet = await findOriginalTweet(req.params.id);
+
+  if (tweet) {
+    await tweet.populate(tweetPopulate);
+  }
+
+  if (!tweet || !tweet.user || await isBlockedBetween(req.user, tweet.user._id)) {
+    res.status(404).json({
+      success: false,
+      message: 'Tweet not found'
+    });
+    return null;
+  }
+
+  if (!(await canViewTweetsOf(req.user, tweet.user))) {
+    res.status(403).json({
+      success: false,
+      message: 'This tweet is from a protected account'
+    });
+    return null;
+  }
+
+  return tweet;
+}
+
+// Helper function to read `depth` and `branches` for the thread views
+function getThreadOptions({ depth, branches }) {
+  return {
+    depth: Math.min(parseLimit(depth, DEFAULT_THREAD_DEPTH), MAX_THREAD_DEPTH),
+    branches: parseLimit(branches, DEFAULT_THREAD_BRANCHES)
+  };
 }
 
 module.exports = router;
@@ -2,10 +2,75 @@
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const auth = require('../middleware/auth');
+const verified = require('../middleware/verified');
 const User = require('../models/User');
 const Tweet = require('../models/Tweet');
+const { createNotification, removeNotification } = require('../utils/notifications');
+const {
+  getPage,
+  withPage,
+  paginate,
+  getOffsetPage,
+  buildOffsetPage
+} = require('../utils/pagination');
+const { escapeRegex } = require('../utils/search');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/tokens');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const { getAccountRestriction } = require('../utils/moderation');
+const { MAX_MUTED_WORDS } = require('../utils/filters');
+const FollowRequest = require('../models/FollowRequest');
+const Follow = require('../models/Follow');
+const SuggestionDismissal = require('../models/SuggestionDismissal');
+const Media = require('../models/Media');
+const List = require('../models/List');
+const uploadImage = require('../middleware/upload');
+const rateLimit = require('../middleware/rateLimit');
+const {
+  getLockout,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../utils/loginLockout');
+const {
+  consumeEmailToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../utils/emailTokens');
+const {
+  generateSecret,
+  provisioningUri,
+  generateRecoveryCodes,
+  verifyTotp,
+  useTwoFactorCode,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../utils/twoFactor');
+const {
+  deletionDate,
+  deleteAccount,
+  buildAccountExport
+} = require('../utils/accounts');
+const { rankSuggestions } = require('../utils/suggestions');
+const { updateAuthorVisibility, updateAuthorProtection } = require('../utils/tweets');
+const {
+  isFollowing,
+  getFollowedIds,
+  addFollow,
+  removeFollow
+} = require('../utils/follows');
+const { InvalidImageError, storeImage, removeMedia } = require('../utils/media');
+const {
+  includesId,
+  getBlockedUserIds,
+  getHiddenUserIds,
+  isBlockedBetween
+} = require('../utils/visibility');
 
 // @route   POST /api/users/register
 // @desc    Register a user
@@ -13,6 +78,7 @@ const Tweet = require('../models/Tweet');
 router.post(
   '/register',
   [
+    rateLimit('register'),
     check('name', 'Name is required').not().isEmpty(),
     check('username', 'Username is required').not().isEmpty(),
     check('email', 'Please include a valid email').isEmail(),
@@ -58,16 +124,21 @@ router.post(
 
       await user.save();
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { id: user.id },
-        process.env.JWT_SECRET,
-        { expiresIn: '30d' }
-      );
+      // Registration goes through even if the email can't be sent; the
+      // user can ask for another one
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error(error);
+      }
+
+      // Start a session with an access token and a refresh token
+      const { token, refreshToken } = await issueTokens(user, req);
 
       res.status(201).json({
         success: true,
         token,
+        refreshToken,
         user
       });
     } catch (error) {
@@ -86,6 +157,7 @@ router.post(
 router.post(
   '/login',
   [
+    rateLimit('login'),
     check('email', 'Please include a valid email').isEmail(),
     check('password', 'Password is required').exists()
   ],
@@ -102,9 +174,20 @@ router.post(
     const { email, password } = req.body;
 
     try {
+      // Too many failed passwords lock the email for a while
+      const retryAfter = await getLockout(email);
+      if (retryAfter) {
+        res.set('Retry-After', retryAfter);
+        return res.status(429).json({
+          success: false,
+          message: 'Too many failed login attempts, please try again later'
+        });
+      }
+
       // Check if user exists
       const user = await User.findOne({ email });
       if (!user) {
+        await recordFailedLogin(email);
         return res.status(400).json({
           success: false,
           message: 'Invalid credentials'
@@ -114,22 +197,42 @@ router.post(
       // Check password
       const isMatch = await user.comparePassword(password);
       if (!isMatch) {
+        await recordFailedLogin(email);
         return res.status(400).json({
           success: false,
           message: 'Invalid credentials'
         });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { id: user.id },
-        process.env.JWT_SECRET,
-        { expiresIn: '30d' }
-      );
+      await clearFailedLogins(email);
+
+      // Suspended and banned users can't sign in
+      const restriction = getAccountRestriction(user);
+      if (restriction) {
+        return res.status(403).json({
+          success: false,
+          message: restriction
+        });
+      }
+
+      // With two-factor authentication on, the password only earns a
+      // challenge to complete at POST /api/users/login/2fa
+      if (user.twoFactor.enabled) {
+        return res.json({
+          success: true,
+          twoFactorRequired: true,
+          twoFactorToken: signTwoFactorChallenge(user)
+        });
+      }
+
+      // Start a session with an access token and a refresh token
+      const { token, refreshToken, reactivated } = await signIn(user, req, 'password');
 
       res.json({
         success: true,
         token,
+        refreshToken,
+        reactivated,
         user
       });
     } catch (error) {
@@ -142,14 +245,1367 @@ router.post(
   }
 );
 
-// @route   GET /api/users/me
-// @desc    Get current user
+// @route   POST /api/users/login/2fa
+// @desc    Finish logging in with a code from an authenticator app or a
+//          recovery code
+// @access  Public
+router.post(
+  '/login/2fa',
+  [
+    rateLimit('login'),
+    check('twoFactorToken', 'Two-factor token is required').not().isEmpty(),
+    check('code', 'Code is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = verifyTwoFactorChallenge(req.body.twoFactorToken);
+      const user = userId && await User.findById(userId);
+
+      if (!user || !user.twoFactor.enabled) {
+        return res.status(401).json({
+          success: false,
+          message: 'Two-factor token has expired, please log in again'
+        });
+      }
+
+      // Wrong codes count towards the same lockout as wrong passwords
+      const retryAfter = await getLockout(user.email);
+      if (retryAfter) {
+        res.set('Retry-After', retryAfter);
+        return res.status(429).json({
+          success: false,
+          message: 'Too many failed login attempts, please try again later'
+        });
+      }
+
+      const method = await useTwoFactorCode(user, req.body.code);
+      if (!method) {
+        await recordFailedLogin(user.email);
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid code'
+        });
+      }
+
+      await clearFailedLogins(user.email);
+
+      // The account may have been restricted since the password step
+      const restriction = getAccountRestriction(user);
+      if (restriction) {
+        return res.status(403).json({
+          success: false,
+          message: restriction
+        });
+      }
+
+      const { token, refreshToken, reactivated } = await signIn(user, req, method);
+
+      res.json({
+        success: true,
+        token,
+        refreshToken,
+        reactivated,
+        user
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/users/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post(
+  '/refresh',
+  [
+    rateLimit('refresh'),
+    check('refreshToken', 'Refresh token is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const result = await rotateRefreshToken(req.body.refreshToken, req);
+
+      if (!result) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid refresh token'
+        });
+      }
+
+      res.json({
+        success: true,
+        token: result.token,
+        refreshToken: result.refreshToken
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/users/verify-email
+// @desc    Verify a user's email address with the token from their
+//          verification email
+// @access  Public
+router.get(
+  '/verify-email',
+  [
+    check('token', 'Token is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = await consumeEmailToken(req.query.token, 'verify_email');
+      const user = userId && await User.findById(userId);
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired token'
+        });
+      }
+
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+      }
+
+      res.json({
+        success: true,
+        message: 'Email address verified'
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/users/verify-email/resend
+// @desc    Send a new verification email
 // @access  Private
-router.get('/me', auth, async (req, res) => {
+router.post('/verify-email/resend', auth, rateLimit('email'), async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+  '/forgot-password',
+  [
+    rateLimit('email'),
+    check('email', 'Please include a valid email').isEmail()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      // Same answer either way, so the endpoint can't be used to find out
+      // which emails have accounts: the email is sent in the background and
+      // failures are only logged, so neither errors nor timing give it away
+      const user = await User.findOne({ email: req.body.email });
+      if (user) {
+        sendPasswordResetEmail(user).catch(error => console.error(error));
+      }
+
+      res.json({
+        success: true,
+        message: 'If an account uses this email, a reset link has been sent to it'
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/users/reset-password
+// @desc    Set a new password with the token from a reset email, signing
+//          out every session
+// @access  Public
+router.post(
+  '/reset-password',
+  [
+    rateLimit('login'),
+    check('token', 'Token is required').not().isEmpty(),
+    check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const userId = await consumeEmailToken(req.body.token, 'reset_password');
+      const user = userId && await User.findById(userId);
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired token'
+        });
+      }
+
+      user.password = req.body.password;
+      // The reset link reached the user, so the address is theirs
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      await user.save();
+
+      await revokeAllSessions(user._id);
+      await clearFailedLogins(user.email);
+
+      res.json({
+        success: true,
+        message: 'Password has been reset, please log in'
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/users/logout
+// @desc    Log out of the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.authSession, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/sessions
+// @desc    Get active sessions (signed-in devices) of the current user
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
   try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session.id === req.authSession.id
+      }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id, req.authSession._id);
+
+    res.json({
+      success: true,
+      revoked
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/sessions/:id
+// @desc    Revoke a session
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.id);
+
+    if (!session || session.user.toString() !== req.user.id || session.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session);
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/password
+// @desc    Change the current user's password, signing out every other
+//          session
+// @access  Private
+router.post(
+  '/password',
+  [
+    auth,
+    rateLimit('login'),
+    check('currentPassword', 'Current password is required').exists(),
+    check('newPassword', 'Password must be at least 6 characters').isLength({ min: 6 })
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const isMatch = await req.user.comparePassword(currentPassword);
+      if (!isMatch) {
+        return res.status(400).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+
+      req.user.password = newPassword;
+      await req.user.save();
+
+      await revokeAllSessions(req.user._id, req.authSession._id);
+
+      res.json({
+        success: true,
+        message: 'Password changed'
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/users/2fa/setup
+// @desc    Start setting up two-factor authentication: returns a new secret
+//          and its otpauth:// URI to show as a QR code
+// @access  Private
+router.post(
+  '/2fa/setup',
+  [auth, rateLimit('login'), check('password', 'Password is required').exists()],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      if (req.user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      // An access token alone isn't enough to lock the owner out
+      if (!(await confirmIdentity(req.user, { password: req.body.password }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid password'
+        });
+      }
+
+      const secret = generateSecret();
+      req.user.twoFactor.pendingSecret = secret;
+      await req.user.save();
+
+      res.json({
+        success: true,
+        secret,
+        otpauthUrl: provisioningUri(req.user, secret)
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/users/2fa/enable
+// @desc    Finish setting up two-factor authentication with a code from the
+//          authenticator app; returns recovery codes, shown only this once
+// @access  Private
+router.post(
+  '/2fa/enable',
+  [
+    auth,
+    rateLimit('login'),
+    check('password', 'Password is required').exists(),
+    check('code', 'Code is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const { twoFactor } = req.user;
+
+      if (twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (!twoFactor.pendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Start two-factor setup first'
+        });
+      }
+
+      if (!(await confirmIdentity(req.user, { password: req.body.password }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid password'
+        });
+      }
+
+      if (!verifyTotp(twoFactor.pendingSecret, req.body.code)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid code'
+        });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+
+      twoFactor.enabled = true;
+      twoFactor.secret = twoFactor.pendingSecret;
+      twoFactor.pendingSecret = undefined;
+      twoFactor.recoveryCodes = hashes;
+      twoFactor.lastUsedStep = undefined;
+      twoFactor.enabledAt = new Date();
+      await req.user.save();
+
+      res.json({
+        success: true,
+        recoveryCodes: codes
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/users/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post(
+  '/2fa/disable',
+  [
+    auth,
+    rateLimit('login'),
+    check('password', 'Password is required').exists(),
+    check('code', 'Code is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      if (!req.user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!(await confirmIdentity(req.user, req.body))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid password or code'
+        });
+      }
+
+      await User.updateOne(
+        { _id: req.user._id },
+        { $set: { twoFactor: { enabled: false } } }
+      );
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   POST /api/users/2fa/recovery-codes
+// @desc    Replace the recovery codes with new ones
+// @access  Private
+router.post(
+  '/2fa/recovery-codes',
+  [auth, rateLimit('login'), check('code', 'Code is required').not().isEmpty()],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      if (!req.user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!(await useTwoFactorCode(req.user, req.body.code))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid code'
+        });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await User.updateOne(
+        { _id: req.user._id },
+        { $set: { 'twoFactor.recoveryCodes': hashes } }
+      );
+
+      res.json({
+        success: true,
+        recoveryCodes: codes
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/users/login-history
+// @desc    Get the current user's sign-ins, newest first
+// @access  Private
+router.get('/login-history', auth, async (req, res) => {
+  try {
+    const page = getPage(req.query);
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const { items: logins, nextCursor, prevCursor } = await paginate(
+      LoginEvent.find(withPage({ user: req.user._id }, page))
+        .select('ip userAgent method session createdAt'),
+      page
+    );
+
+    res.json({
+      success: true,
+      logins: logins.map(login => ({
+        ...login.toJSON(),
+        current: Boolean(login.session && login.session.equals(req.authSession._id))
+      })),
+      nextCursor,
+      prevCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/me
+// @desc    Get current user
+// @access  Private
+router.get('/me', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      user: req.user
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/me/export
+// @desc    Download everything the current user has put into the service
+//          as one JSON file
+// @access  Private
+router.get('/me/export', auth, rateLimit('export'), async (req, res) => {
+  try {
+    const archive = await buildAccountExport(req.user);
+
+    const date = archive.exportedAt.toISOString().slice(0, 10);
+    res.attachment(`chirp-${req.user.username}-${date}.json`);
+    res.json(archive);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/deactivate
+// @desc    Deactivate the current user's account: it is hidden and signed
+//          out everywhere, and deleted unless they log in again within the
+//          grace period
+// @access  Private
+router.post(
+  '/deactivate',
+  [
+    auth,
+    rateLimit('login'),
+    check('password', 'Password is required').exists()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      if (!(await confirmIdentity(req.user, req.body))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid password or code'
+        });
+      }
+
+      req.user.deactivatedAt = new Date();
+      await req.user.save();
+      await updateAuthorVisibility(req.user);
+
+      await revokeAllSessions(req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Account deactivated, log in again to restore it',
+        deletionScheduledAt: deletionDate(req.user)
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/users/me
+// @desc    Delete the current user's account and all of its data for good
+// @access  Private
+router.delete(
+  '/me',
+  [
+    auth,
+    rateLimit('login'),
+    check('password', 'Password is required').exists()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      if (!(await confirmIdentity(req.user, req.body))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid password or code'
+        });
+      }
+
+      await deleteAccount(req.user);
+
+      res.json({
+        success: true,
+        message: 'Account deleted'
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   GET /api/users/profile/:username
+// @desc    Get user profile by username
+// @access  Private
+router.get('/profile/:username', auth, async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username });
+    
+    if (!user || await isBlockedBetween(req.user, user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Count tweets; following and followers are counted on the user
+    const tweetsCount = await Tweet.countDocuments({ 
+      user: user._id,
+      retweetData: { $exists: false }
+    });
+    
+    // Check if current user is following, has requested to follow or is muting this user
+    const following = await isFollowing(req.user._id, user._id);
+    const followRequestSent = user.protected && !following
+      ? Boolean(await FollowRequest.exists({ from: req.user._id, to: user._id }))
+      : false;
+    const isMuted = includesId(req.user.muted, user._id);
+
+    // Account and security fields are only shown on the user's own profile
+    let profile;
+    if (user._id.equals(req.user._id)) {
+      const { blocked, muted, mutedWords, ...ownProfile } = user.toJSON();
+      profile = ownProfile;
+    } else {
+      profile = user.toPublicJSON();
+    }
+
+    res.json({
+      success: true,
+      user: {
+        ...profile,
+        tweetsCount,
+        isFollowing: following,
+        followRequestSent,
+        isMuted
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/users/profile
+// @desc    Update user profile
+// @access  Private
+router.put('/profile', auth, async (req, res) => {
+  try {
+    const { name, bio, location, website, allowMessagesFrom } = req.body;
+    const isProtected = req.body.protected;
+
+    if (allowMessagesFrom && !['everyone', 'following'].includes(allowMessagesFrom)) {
+      return res.status(400).json({
+        success: false,
+        message: 'allowMessagesFrom must be "everyone" or "following"'
+      });
+    }
+    
+    // Build profile object
+    const profileFields = {};
+    if (name) profileFields.name = name;
+    if (bio) profileFields.bio = bio;
+    if (location) profileFields.location = location;
+    if (website) profileFields.website = website;
+    if (allowMessagesFrom) profileFields.allowMessagesFrom = allowMessagesFrom;
+    if (typeof isProtected === 'boolean') profileFields.protected = isProtected;
+    
+    // Update user
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: profileFields },
+      { new: true }
+    );
+    
+    if (typeof isProtected === 'boolean' && isProtected !== req.user.protected) {
+      await updateAuthorProtection(user);
+    }
+    
+    // Unprotecting an account approves every pending follow request
+    if (isProtected === false && req.user.protected) {
+      const requests = await FollowRequest.find({ to: req.user._id });
+      for (const request of requests) {
+        await addFollow(request.from, req.user._id);
+      }
+      await FollowRequest.deleteMany({ to: req.user._id });
+    }
+    
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/profile/image
+// @desc    Upload a profile photo (multipart field "file")
+// @access  Private
+router.post('/profile/image', auth, verified('upload'), rateLimit('upload'), uploadImage('file'), async (req, res) => {
+  try {
+    const media = await storeImage(req.file.buffer, {
+      owner: req.user._id,
+      kind: 'avatar'
+    });
+    
+    // Replace the previous image
+    const previous = await Media.find({ owner: req.user._id, kind: 'avatar', _id: { $ne: media._id } });
+    await Promise.all(previous.map(removeMedia));
+    
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: { profileImage: media.variants.medium.url } },
+      { new: true }
+    );
+    
+    res.json({
+      success: true,
+      user,
+      media
+    });
+  } catch (error) {
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/profile/cover
+// @desc    Upload a cover photo (multipart field "file")
+// @access  Private
+router.post('/profile/cover', auth, verified('upload'), rateLimit('upload'), uploadImage('file'), async (req, res) => {
+  try {
+    const media = await storeImage(req.file.buffer, {
+      owner: req.user._id,
+      kind: 'cover'
+    });
+    
+    // Replace the previous image
+    const previous = await Media.find({ owner: req.user._id, kind: 'cover', _id: { $ne: media._id } });
+    await Promise.all(previous.map(removeMedia));
+    
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: { coverImage: media.variants.medium.url } },
+      { new: true }
+    );
+    
+    res.json({
+      success: true,
+      user,
+      media
+    });
+  } catch (error) {
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/follow
+// @desc    Follow a user
+// @access  Private
+router.post('/:id/follow', auth, verified('follow'), rateLimit('follow'), async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot follow yourself'
+      });
+    }
+    
+    const userToFollow = await User.findById(req.params.id);
+    
+    if (!userToFollow) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (await isBlockedBetween(req.user, userToFollow._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot follow this user'
+      });
+    }
+    
+    // Check if already following
+    if (await isFollowing(req.user._id, userToFollow._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already following this user'
+      });
+    }
+    
+    // Protected accounts have to approve new followers
+    if (userToFollow.protected) {
+      if (await FollowRequest.exists({ from: req.user._id, to: userToFollow._id })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Follow request already sent'
+        });
+      }
+      
+      await FollowRequest.create({ from: req.user._id, to: userToFollow._id });
+      
+      await createNotification({
+        recipient: userToFollow._id,
+        actor: req.user._id,
+        type: 'follow_request'
+      });
+      
+      return res.status(202).json({
+        success: true,
+        pending: true,
+        message: 'Follow request sent'
+      });
+    }
+    
+    await addFollow(req.user._id, userToFollow._id);
+
+    await createNotification({
+      recipient: userToFollow._id,
+      actor: req.user._id,
+      type: 'follow'
+    });
+    
+    res.json({
+      success: true,
+      message: 'User followed successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/unfollow
+// @desc    Unfollow a user
+// @access  Private
+router.post('/:id/unfollow', auth, rateLimit('follow'), async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot unfollow yourself'
+      });
+    }
+    
+    const userToUnfollow = await User.findById(req.params.id);
+    
+    if (!userToUnfollow) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Unfollowing with a pending request cancels the request
+    const request = await FollowRequest.findOne({ from: req.user._id, to: userToUnfollow._id });
+    if (request) {
+      await request.deleteOne();
+      
+      await removeNotification({
+        recipient: userToUnfollow._id,
+        actor: req.user._id,
+        type: 'follow_request'
+      });
+      
+      return res.json({
+        success: true,
+        message: 'Follow request cancelled'
+      });
+    }
+    
+    // Remove the follow, if there is one
+    if (!(await removeFollow(req.user._id, userToUnfollow._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not following this user'
+      });
+    }
+
+    await removeNotification({
+      recipient: userToUnfollow._id,
+      actor: req.user._id,
+      type: 'follow'
+    });
+    
+    res.json({
+      success: true,
+      message: 'User unfollowed successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/follow-requests
+// @desc    Get pending follow requests (received, or sent with ?type=sent)
+// @access  Private
+router.get('/follow-requests', auth, async (req, res) => {
+  try {
+    const page = getPage(req.query);
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+    
+    const sent = req.query.type === 'sent';
+    
+    const { items: requests, nextCursor, prevCursor } = await paginate(
+      FollowRequest.find(withPage(sent ? { from: req.user._id } : { to: req.user._id }, page))
+        .populate(sent ? 'to' : 'from', '_id name username profileImage bio'),
+      page
+    );
+    
+    res.json({
+      success: true,
+      requests,
+      nextCursor,
+      prevCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/follow-requests/:id/approve
+// @desc    Approve a follow request
+// @access  Private
+router.post('/follow-requests/:id/approve', auth, async (req, res) => {
+  try {
+    const request = await FollowRequest.findById(req.params.id);
+    
+    if (!request || request.to.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Follow request not found'
+      });
+    }
+    
+    await request.deleteOne();
+    await addFollow(request.from, req.user._id);
+    
+    await removeNotification({
+      recipient: req.user._id,
+      actor: request.from,
+      type: 'follow_request'
+    });
+    
+    await createNotification({
+      recipient: request.from,
+      actor: req.user._id,
+      type: 'follow_accept'
+    });
+    
+    res.json({
+      success: true,
+      message: 'Follow request approved'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/follow-requests/:id/reject
+// @desc    Reject a follow request
+// @access  Private
+router.post('/follow-requests/:id/reject', auth, async (req, res) => {
+  try {
+    const request = await FollowRequest.findById(req.params.id);
+    
+    if (!request || request.to.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Follow request not found'
+      });
+    }
+    
+    await request.deleteOne();
+    
+    await removeNotification({
+      recipient: req.user._id,
+      actor: request.from,
+      type: 'follow_request'
+    });
+    
+    res.json({
+      success: true,
+      message: 'Follow request rejected'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/block
+// @desc    Block a user (also removes follows in both directions)
+// @access  Private
+router.post('/:id/block', auth, async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+    
+    const targetUser = await User.findById(req.params.id);
+    
+    if (!targetUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (includesId(req.user.blocked, targetUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already blocked this user'
+      });
+    }
+    
+    // Block and remove both follow relationships
+    await User.findByIdAndUpdate(req.user.id, {
+      $addToSet: { blocked: targetUser._id }
+    });
+    
+    await removeFollow(req.user._id, targetUser._id);
+    await removeFollow(targetUser._id, req.user._id);
+    
+    await FollowRequest.deleteMany({
+      $or: [
+        { from: req.user._id, to: targetUser._id },
+        { from: targetUser._id, to: req.user._id }
+      ]
+    });
+    
+    // Neither user stays on, or subscribed to, the other's lists
+    await List.updateMany(
+      { owner: req.user._id },
+      { $pull: { members: targetUser._id, subscribers: targetUser._id } }
+    );
+    await List.updateMany(
+      { owner: targetUser._id },
+      { $pull: { members: req.user._id, subscribers: req.user._id } }
+    );
+    
     res.json({
       success: true,
-      user: req.user
+      message: 'User blocked'
     });
   } catch (error) {
     console.error(error);
@@ -160,41 +1616,41 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/users/profile/:username
-// @desc    Get user profile by username
+// @route   POST /api/users/:id/unblock
+// @desc    Unblock a user
 // @access  Private
-router.get('/profile/:username', auth, async (req, res) => {
+router.post('/:id/unblock', auth, async (req, res) => {
   try {
-    const user = await User.findOne({ username: req.params.username });
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot unblock yourself'
+      });
+    }
     
-    if (!user) {
+    const targetUser = await User.findById(req.params.id);
+    
+    if (!targetUser) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
-
-    // Count tweets, following, followers
-    const tweetsCount = await Tweet.countDocuments({ 
-      user: user._id,
-      retweetData: { $exists: false }
-    });
     
-    const followingCount = user.following.length;
-    const followersCount = user.followers.length;
+    if (!includesId(req.user.blocked, targetUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have not blocked this user'
+      });
+    }
+    
+    await User.findByIdAndUpdate(req.user.id, {
+      $pull: { blocked: targetUser._id }
+    });
     
-    // Check if current user is following this user
-    const isFollowing = req.user.following.includes(user._id);
-
     res.json({
       success: true,
-      user: {
-        ...user.toJSON(),
-        tweetsCount,
-        followingCount,
-        followersCount,
-        isFollowing
-      }
+      message: 'User unblocked'
     });
   } catch (error) {
     console.error(error);
@@ -205,32 +1661,41 @@ router.get('/profile/:username', auth, async (req, res) => {
   }
 });
 
-// @route   PUT /api/users/profile
-// @desc    Update user profile
+// @route   POST /api/users/:id/mute
+// @desc    Mute a user
 // @access  Private
-router.put('/profile', auth, async (req, res) => {
+router.post('/:id/mute', auth, async (req, res) => {
   try {
-    const { name, bio, location, website, profileImage, coverImage } = req.body;
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot mute yourself'
+      });
+    }
     
-    // Build profile object
-    const profileFields = {};
-    if (name) profileFields.name = name;
-    if (bio) profileFields.bio = bio;
-    if (location) profileFields.location = location;
-    if (website) profileFields.website = website;
-    if (profileImage) profileFields.profileImage = profileImage;
-    if (coverImage) profileFields.coverImage = coverImage;
+    const targetUser = await User.findById(req.params.id);
     
-    // Update user
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { $set: profileFields },
-      { new: true }
-    );
+    if (!targetUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (includesId(req.user.muted, targetUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already muted this user'
+      });
+    }
+    
+    await User.findByIdAndUpdate(req.user.id, {
+      $addToSet: { muted: targetUser._id }
+    });
     
     res.json({
       success: true,
-      user
+      message: 'User muted'
     });
   } catch (error) {
     console.error(error);
@@ -241,48 +1706,41 @@ router.put('/profile', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/users/:id/follow
-// @desc    Follow a user
+// @route   POST /api/users/:id/unmute
+// @desc    Unmute a user
 // @access  Private
-router.post('/:id/follow', auth, async (req, res) => {
+router.post('/:id/unmute', auth, async (req, res) => {
   try {
     if (req.params.id === req.user.id) {
       return res.status(400).json({
         success: false,
-        message: 'You cannot follow yourself'
+        message: 'You cannot unmute yourself'
       });
     }
     
-    const userToFollow = await User.findById(req.params.id);
+    const targetUser = await User.findById(req.params.id);
     
-    if (!userToFollow) {
+    if (!targetUser) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
     
-    // Check if already following
-    if (req.user.following.includes(req.params.id)) {
+    if (!includesId(req.user.muted, targetUser._id)) {
       return res.status(400).json({
         success: false,
-        message: 'You are already following this user'
+        message: 'You have not muted this user'
       });
     }
     
-    // Add to following
     await User.findByIdAndUpdate(req.user.id, {
-      $push: { following: req.params.id }
-    });
-    
-    // Add to followers
-    await User.findByIdAndUpdate(req.params.id, {
-      $push: { followers: req.user.id }
+      $pull: { muted: targetUser._id }
     });
     
     res.json({
       success: true,
-      message: 'User followed successfully'
+      message: 'User unmuted'
     });
   } catch (error) {
     console.error(error);
@@ -293,48 +1751,174 @@ router.post('/:id/follow', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/users/:id/unfollow
-// @desc    Unfollow a user
+// @route   GET /api/users/blocked
+// @desc    Get users blocked by the current user
 // @access  Private
-router.post('/:id/unfollow', auth, async (req, res) => {
+router.get('/blocked', auth, async (req, res) => {
   try {
-    if (req.params.id === req.user.id) {
+    const page = getPage(req.query);
+    if (!page) {
       return res.status(400).json({
         success: false,
-        message: 'You cannot unfollow yourself'
+        message: 'Invalid cursor'
       });
     }
     
-    const userToUnfollow = await User.findById(req.params.id);
+    const { items: users, nextCursor, prevCursor } = await paginate(
+      User.find(withPage({ _id: { $in: req.user.blocked } }, page))
+        .select('_id name username profileImage bio createdAt'),
+      page
+    );
     
-    if (!userToUnfollow) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      users,
+      nextCursor,
+      prevCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/muted
+// @desc    Get users muted by the current user
+// @access  Private
+router.get('/muted', auth, async (req, res) => {
+  try {
+    const page = getPage(req.query);
+    if (!page) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        message: 'Invalid cursor'
       });
     }
     
-    // Check if following
-    if (!req.user.following.includes(req.params.id)) {
+    const { items: users, nextCursor, prevCursor } = await paginate(
+      User.find(withPage({ _id: { $in: req.user.muted } }, page))
+        .select('_id name username profileImage bio createdAt'),
+      page
+    );
+    
+    res.json({
+      success: true,
+      users,
+      nextCursor,
+      prevCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/muted-words
+// @desc    Get the current user's muted words
+// @access  Private
+router.get('/muted-words', auth, async (req, res) => {
+  try {
+    const now = new Date();
+
+    res.json({
+      success: true,
+      mutedWords: req.user.mutedWords.filter(({ expiresAt }) => !expiresAt || expiresAt > now)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/muted-words
+// @desc    Mute a word or phrase, for `days` or until removed
+// @access  Private
+router.post(
+  '/muted-words',
+  [
+    auth,
+    check('word', 'Word must be between 1 and 100 characters').isString().trim().isLength({ min: 1, max: 100 }),
+    check('days', 'Days must be between 1 and 365').optional().isInt({ min: 1, max: 365 })
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'You are not following this user'
+        errors: errors.array()
       });
     }
-    
-    // Remove from following
-    await User.findByIdAndUpdate(req.user.id, {
-      $pull: { following: req.params.id }
-    });
-    
-    // Remove from followers
-    await User.findByIdAndUpdate(req.params.id, {
-      $pull: { followers: req.user.id }
+
+    try {
+      const word = req.body.word.toLowerCase();
+      const now = new Date();
+
+      // Drop expired words and any earlier entry for the same word
+      const mutedWords = req.user.mutedWords.filter(entry =>
+        entry.word !== word && (!entry.expiresAt || entry.expiresAt > now)
+      );
+
+      if (mutedWords.length >= MAX_MUTED_WORDS) {
+        return res.status(400).json({
+          success: false,
+          message: `You can mute at most ${MAX_MUTED_WORDS} words`
+        });
+      }
+
+      mutedWords.push({
+        word,
+        expiresAt: req.body.days
+          ? new Date(now.getTime() + parseInt(req.body.days, 10) * 24 * 60 * 60 * 1000)
+          : undefined
+      });
+
+      await User.findByIdAndUpdate(req.user._id, { $set: { mutedWords } });
+
+      res.status(201).json({
+        success: true,
+        mutedWords
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/users/muted-words/:word
+// @desc    Unmute a word or phrase
+// @access  Private
+router.delete('/muted-words/:word', auth, async (req, res) => {
+  try {
+    const word = req.params.word.trim().toLowerCase();
+
+    if (!req.user.mutedWords.some(entry => entry.word === word)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Word is not muted'
+      });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $pull: { mutedWords: { word } }
     });
-    
+
     res.json({
       success: true,
-      message: 'User unfollowed successfully'
+      message: 'Word unmuted'
     });
   } catch (error) {
     console.error(error);
@@ -346,26 +1930,78 @@ router.post('/:id/unfollow', auth, async (req, res) => {
 });
 
 // @route   GET /api/users/suggestions
-// @desc    Get user suggestions (who to follow)
+// @desc    Get ranked accounts to follow, each with the reason it's suggested
 // @access  Private
 router.get('/suggestions', auth, async (req, res) => {
   try {
-    // Find users that the current user is not following
-    const users = await User.find({
-      _id: { $ne: req.user.id, $nin: req.user.following },
-    })
-    .select('_id name username profileImage bio')
-    .limit(5);
-    
-    // Add isFollowing property
-    const usersWithFollowInfo = users.map(user => ({
-      ...user.toJSON(),
-      isFollowing: false
-    }));
-    
+    const page = getOffsetPage(req.query, { defaultLimit: 5 });
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const hiddenIds = await getHiddenUserIds(req.user);
+    const ranked = await rankSuggestions(req.user, hiddenIds);
+    const { items, nextCursor, prevCursor } = buildOffsetPage(
+      ranked.slice(page.offset, page.offset + page.limit + 1),
+      page.offset,
+      page.limit
+    );
+
+    // Load users and restore ranked order
+    const usersById = new Map(
+      (await User.find({ _id: { $in: items.map(s => s.userId) } })
+        .select('_id name username profileImage bio protected'))
+        .map(user => [user.id, user])
+    );
+
+    const users = items
+      .filter(suggestion => usersById.has(suggestion.userId.toString()))
+      .map(suggestion => ({
+        ...usersById.get(suggestion.userId.toString()).toJSON(),
+        isFollowing: false,
+        reason: suggestion.reason
+      }));
+
+    res.json({
+      success: true,
+      users,
+      nextCursor,
+      prevCursor
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/suggestions/:id/dismiss
+// @desc    Stop suggesting a user
+// @access  Private
+router.post('/suggestions/:id/dismiss', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await SuggestionDismissal.updateOne(
+      { user: req.user._id, dismissed: user._id },
+      { $setOnInsert: { user: req.user._id, dismissed: user._id } },
+      { upsert: true }
+    );
+
     res.json({
       success: true,
-      users: usersWithFollowInfo
+      message: 'Suggestion dismissed'
     });
   } catch (error) {
     console.error(error);
@@ -381,75 +2017,83 @@ router.get('/suggestions', auth, async (req, res) => {
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const { query, type, userId, page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
+    const { query, type, userId } = req.query;
+
+    const page = getPage(req.query);
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
     
-    let users = [];
+    // Blocked users (in either direction), muted users and suspended, banned
+    // or deactivated users are left out
+    const blockedIds = await getBlockedUserIds(req.user);
+    const hiddenIds = [...blockedIds, ...req.user.muted];
     
-    if (type === 'followers' && userId) {
-      // Get user's followers
-      const user = await User.findById(userId).populate({
-        path: 'followers',
-        select: '_id name username profileImage bio',
-        options: { skip, limit }
-      });
+    let matchCriteria;
+    
+    if ((type === 'followers' || type === 'following') && userId) {
+      // Get user's followers, or who user is following
+      const user = await User.findById(userId);
       
-      if (!user) {
+      if (!user || user.isInactive() || includesId(blockedIds, user._id)) {
         return res.status(404).json({
           success: false,
           message: 'User not found'
         });
       }
       
-      users = user.followers;
-    } 
-    else if (type === 'following' && userId) {
-      // Get who user is following
-      const user = await User.findById(userId).populate({
-        path: 'following',
-        select: '_id name username profileImage bio',
-        options: { skip, limit }
-      });
-      
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
+      // Most recent follows first
+      const [ownField, otherField] = type === 'followers'
+        ? ['followee', 'follower']
+        : ['follower', 'followee'];
+      const { items: follows, nextCursor, prevCursor } = await paginate(
+        Follow.find(withPage({ [ownField]: user._id, [otherField]: { $nin: hiddenIds } }, page))
+          .populate({
+            path: otherField,
+            select: '_id name username profileImage bio createdAt',
+            match: User.activeCriteria()
+          }),
+        page
+      );
       
-      users = user.following;
+      return res.json({
+        success: true,
+        users: await addFollowInfo(follows.map(follow => follow[otherField]).filter(Boolean), req.user),
+        nextCursor,
+        prevCursor
+      });
     } 
     else if (query) {
-      // Search users by name or username
-      users = await User.find({
+      // Search users by username prefix or name/bio text
+      // (see GET /api/search for ranked search)
+      matchCriteria = {
         $or: [
-          { name: { $regex: query, $options: 'i' } },
-          { username: { $regex: query, $options: 'i' } }
+          { $text: { $search: query } },
+          { username: { $regex: `^${escapeRegex(query.replace(/^@/, '').toLowerCase())}` } }
         ],
-        _id: { $ne: req.user.id }
-      })
-      .select('_id name username profileImage bio')
-      .skip(skip)
-      .limit(parseInt(limit));
+        _id: { $ne: req.user._id, $nin: hiddenIds },
+        ...User.activeCriteria()
+      };
     } 
     else {
       // Get all users (except current user)
-      users = await User.find({ _id: { $ne: req.user.id } })
-        .select('_id name username profileImage bio')
-        .skip(skip)
-        .limit(parseInt(limit));
+      matchCriteria = { _id: { $ne: req.user._id, $nin: hiddenIds }, ...User.activeCriteria() };
     }
     
-    // Add isFollowing property to each user
-    const usersWithFollowInfo = users.map(user => ({
-      ...user.toJSON ? user.toJSON() : user,
-      isFollowing: req.user.following.includes(user._id)
-    }));
+    const { items: users, nextCursor, prevCursor } = await paginate(
+      User.find(withPage(matchCriteria, page))
+        .select('_id name username profileImage bio createdAt'),
+      page
+    );
     
     res.json({
       success: true,
-      users: usersWithFollowInfo
+      users: await addFollowInfo(users, req.user),
+      nextCursor,
+      prevCursor
     });
   } catch (error) {
     console.error(error);
@@ -460,4 +2104,46 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Helper function to add an isFollowing property to each user
+async function addFollowInfo(users, viewer) {
+  const followedIds = await getFollowedIds(viewer._id, users.map(user => user._id));
+  return users.map(user => ({
+    ...user.toJSON(),
+    isFollowing: followedIds.has(user.id)
+  }));
+}
+
+// Helper function to sign a user in: start a session with an access token
+// and a refresh token, and record it in their login history
+async function signIn(user, req, method) {
+  // Logging in restores a deactivated account
+  const reactivated = Boolean(user.deactivatedAt);
+  if (reactivated) {
+    user.deactivatedAt = undefined;
+    await user.save();
+    await updateAuthorVisibility(user);
+  }
+
+  const tokens = await issueTokens(user, req);
+
+  await new LoginEvent({
+    user: user._id,
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || '',
+    method,
+    session: tokens.session._id
+  }).save();
+
+  return { ...tokens, reactivated };
+}
+
+// Helper function to check a user's password and, if they have two-factor
+// authentication on, a code, before a sensitive change
+async function confirmIdentity(user, { password, code }) {
+  if (!(await user.comparePassword(password))) {
+    return false;
+  }
+  return !user.twoFactor.enabled || Boolean(await useTwoFactorCode(user, code));
+}
+
 module.exports = router;
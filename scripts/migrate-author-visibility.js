@@ -0,0 +1,44 @@
+// Hide the tweets of accounts that were already suspended, banned,
+// deactivated or protected before tweets carried their author's state
+// (Tweet.authorInactiveUntil and Tweet.authorProtected). Safe to run more
+// than once.
+//
+// Usage: npm run migrate:author-visibility
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const User = require('../models/User');
+const { updateAuthorVisibility, updateAuthorProtection } = require('../utils/tweets');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    let count = 0;
+    const users = User.find(User.inactiveCriteria())
+      .select('suspendedUntil bannedAt deactivatedAt')
+      .cursor();
+    for await (const user of users) {
+      await updateAuthorVisibility(user);
+      count++;
+    }
+    console.log(`Updated the tweets of ${count} inactive accounts`);
+
+    count = 0;
+    const protectedUsers = User.find({ protected: true }).select('protected').cursor();
+    for await (const user of protectedUsers) {
+      await updateAuthorProtection(user);
+      count++;
+    }
+    console.log(`Updated the tweets of ${count} protected accounts`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrate().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
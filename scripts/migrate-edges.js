@@ -0,0 +1,277 @@
+// Move follows, likes and retweets out of the arrays they used to be kept
+// in (User.following/followers/likes/retweets, Tweet.likes/retweets) into
+// the Follow and Like collections and retweet entries, and fill in the
+// stored counters. Run it with the server stopped, and before
+// migrate:author-visibility so the retweet entries it creates are covered;
+// it's safe to run more than once.
+//
+// Usage: npm run migrate:edges
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+
+dotenv.config();
+
+// Writes sent to the database at a time
+const BATCH_SIZE = 1000;
+
+// Buffer bulk writes for `collection` and send them in batches
+function bulkWriter(collection) {
+  let ops = [];
+  return {
+    async add(op) {
+      ops.push(op);
+      if (ops.length >= BATCH_SIZE) {
+        await this.flush();
+      }
+    },
+    async flush() {
+      if (ops.length) {
+        await collection.bulkWrite(ops, { ordered: false });
+        ops = [];
+      }
+    }
+  };
+}
+
+// Follow edges from both sides of the old arrays, in case they disagree
+async function migrateFollows() {
+  const follows = bulkWriter(Follow.collection);
+  const createdAt = new Date();
+  const addFollow = (follower, followee) => follows.add({
+    updateOne: {
+      filter: { follower, followee },
+      update: { $setOnInsert: { follower, followee, createdAt } },
+      upsert: true
+    }
+  });
+
+  const users = User.collection.find(
+    { $or: [{ 'following.0': { $exists: true } }, { 'followers.0': { $exists: true } }] },
+    { projection: { following: 1, followers: 1 } }
+  );
+  for await (const user of users) {
+    for (const followee of user.following || []) {
+      if (!followee.equals(user._id)) await addFollow(user._id, followee);
+    }
+    for (const follower of user.followers || []) {
+      if (!follower.equals(user._id)) await addFollow(follower, user._id);
+    }
+  }
+  await follows.flush();
+}
+
+// Like edges from both sides of the old arrays. Users' arrays were kept in
+// the order they liked tweets, so their likes get increasing timestamps to
+// keep the likes tab in the same order.
+async function migrateLikes() {
+  const likes = bulkWriter(Like.collection);
+  const now = Date.now();
+  const addLike = (user, tweet, createdAt) => likes.add({
+    updateOne: {
+      filter: { user, tweet },
+      update: { $setOnInsert: { user, tweet, createdAt } },
+      upsert: true
+    }
+  });
+
+  const users = User.collection.find(
+    { 'likes.0': { $exists: true } },
+    { projection: { likes: 1 } }
+  );
+  for await (const user of users) {
+    const count = user.likes.length;
+    for (let i = 0; i < count; i++) {
+      await addLike(user._id, user.likes[i], new Date(now - (count - i)));
+    }
+  }
+
+  const tweets = Tweet.collection.find(
+    { 'likes.0': { $exists: true } },
+    { projection: { likes: 1, createdAt: 1 } }
+  );
+  for await (const tweet of tweets) {
+    for (const user of tweet.likes) {
+      await addLike(user, tweet._id, tweet.createdAt);
+    }
+  }
+  await likes.flush();
+}
+
+// Retweet entries from both sides of the old arrays. Each entry is dated
+// like the tweet it retweets: dating them now would put every old retweet
+// at the top of followers' timelines.
+async function migrateRetweets() {
+  const retweets = bulkWriter(Tweet.collection);
+  const addRetweet = (user, tweet) => {
+    const entry = new Tweet({ user, retweetData: tweet._id }).toObject();
+    delete entry._id;
+    return retweets.add({
+      updateOne: {
+        filter: { user, retweetData: tweet._id },
+        update: {
+          $setOnInsert: { ...entry, createdAt: tweet.createdAt, updatedAt: tweet.createdAt }
+        },
+        upsert: true
+      }
+    });
+  };
+
+  const tweets = Tweet.collection.find(
+    { 'retweets.0': { $exists: true } },
+    { projection: { retweets: 1, createdAt: 1 } }
+  );
+  for await (const tweet of tweets) {
+    for (const user of tweet.retweets) {
+      await addRetweet(user, tweet);
+    }
+  }
+
+  const users = User.collection.find(
+    { 'retweets.0': { $exists: true } },
+    { projection: { retweets: 1 } }
+  );
+  for await (const user of users) {
+    const retweeted = await Tweet.collection
+      .find({ _id: { $in: user.retweets } }, { projection: { createdAt: 1 } })
+      .toArray();
+    for (const tweet of retweeted) {
+      await addRetweet(user._id, tweet);
+    }
+  }
+  await retweets.flush();
+}
+
+// Delete documents in `model` matching `match` whose `field` refers to a
+// document missing from the `from` collection, e.g. likes of deleted tweets
+async function removeOrphans(model, field, from, match = {}) {
+  const orphans = model.collection.aggregate([
+    { $match: match },
+    { $lookup: { from, localField: field, foreignField: '_id', as: 'target' } },
+    { $match: { target: { $size: 0 } } },
+    { $project: { _id: 1 } }
+  ]);
+
+  let ids = [];
+  for await (const { _id } of orphans) {
+    ids.push(_id);
+    if (ids.length >= BATCH_SIZE) {
+      await model.collection.deleteMany({ _id: { $in: ids } });
+      ids = [];
+    }
+  }
+  if (ids.length) {
+    await model.collection.deleteMany({ _id: { $in: ids } });
+  }
+}
+
+// Keep the oldest retweet entry when a user retweeted a tweet more than
+// once, so the unique index can be built
+async function removeDuplicateRetweets() {
+  const duplicates = Tweet.collection.aggregate([
+    { $match: { retweetData: { $exists: true } } },
+    { $sort: { createdAt: 1 } },
+    { $group: { _id: { retweetData: '$retweetData', user: '$user' }, ids: { $push: '$_id' } } },
+    { $match: { 'ids.1': { $exists: true } } }
+  ]);
+  for await (const duplicate of duplicates) {
+    await Tweet.collection.deleteMany({ _id: { $in: duplicate.ids.slice(1) } });
+  }
+}
+
+// Set `field` on every document of `model` from `counts` (`[{ _id, count }]`),
+// and to 0 on the rest
+async function setCounts(model, field, counts) {
+  await model.collection.updateMany({}, { $set: { [field]: 0 } });
+
+  const writer = bulkWriter(model.collection);
+  for await (const { _id, count } of counts) {
+    await writer.add({
+      updateOne: { filter: { _id }, update: { $set: { [field]: count } } }
+    });
+  }
+  await writer.flush();
+}
+
+// Count the documents in `collection` matching `match` by their `field`,
+// e.g. likes per tweet
+function countBy(collection, field, match = {}) {
+  return collection.aggregate([
+    { $match: { ...match, [field]: { $exists: true } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+}
+
+// Recount every stored counter from the edges. Replies and quotes held
+// back by the spam filter aren't counted, as in utils/compose.js.
+async function recount() {
+  const counted = { shadowHidden: { $ne: true } };
+
+  await setCounts(User, 'followersCount', countBy(Follow.collection, 'followee'));
+  await setCounts(User, 'followingCount', countBy(Follow.collection, 'follower'));
+  await setCounts(Tweet, 'likesCount', countBy(Like.collection, 'tweet'));
+  await setCounts(Tweet, 'retweetsCount', countBy(Tweet.collection, 'retweetData'));
+  await setCounts(Tweet, 'repliesCount', countBy(Tweet.collection, 'replyTo', counted));
+  await setCounts(Tweet, 'quotesCount', countBy(Tweet.collection, 'quoteTweet', counted));
+}
+
+// Replace the old non-unique retweet index, then build the new ones
+async function syncIndexes() {
+  const indexes = await Tweet.collection.indexes();
+  const old = indexes.find(index => index.name === 'retweetData_1_user_1' && !index.unique);
+  if (old) {
+    await Tweet.collection.dropIndex(old.name);
+  }
+
+  for (const model of [User, Tweet]) {
+    await model.syncIndexes();
+  }
+}
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    // The upserts below look edges up by these indexes
+    await Follow.syncIndexes();
+    await Like.syncIndexes();
+
+    console.log('Moving follows');
+    await migrateFollows();
+    console.log('Moving likes');
+    await migrateLikes();
+    console.log('Removing likes and follows of deleted users and tweets');
+    await removeOrphans(Follow, 'follower', User.collection.name);
+    await removeOrphans(Follow, 'followee', User.collection.name);
+    await removeOrphans(Like, 'user', User.collection.name);
+    await removeOrphans(Like, 'tweet', Tweet.collection.name);
+    console.log('Moving retweets');
+    await migrateRetweets();
+    await removeOrphans(Tweet, 'user', User.collection.name, { retweetData: { $exists: true } });
+    console.log('Removing duplicate retweets');
+    await removeDuplicateRetweets();
+    console.log('Building indexes');
+    await syncIndexes();
+    console.log('Recounting');
+    await recount();
+
+    console.log('Removing old arrays');
+    await User.collection.updateMany(
+      {},
+      { $unset: { following: 1, followers: 1, likes: 1, retweets: 1 } }
+    );
+    await Tweet.collection.updateMany({}, { $unset: { likes: 1, retweets: 1 } });
+
+    console.log('Done');
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrate().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
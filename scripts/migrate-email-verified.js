@@ -0,0 +1,32 @@
+// Mark accounts created before email verification existed as verified, so
+// UNVERIFIED_RESTRICTIONS doesn't lock them out. Accounts created since
+// always have `emailVerified` stored, so only the older ones lack it.
+// Safe to run more than once.
+//
+// Usage: npm run migrate:email-verified
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const User = require('../models/User');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    // Raw collection: the model would fill in the `false` default
+    const result = await User.collection.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+    console.log(`Marked ${result.modifiedCount} existing accounts as verified`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrate().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
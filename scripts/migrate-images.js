@@ -0,0 +1,52 @@
+// Move the image URL tweets used to carry (Tweet.image) into their `media`,
+// so they keep showing up in the media tab, and give accounts still on the
+// old placeholder avatar the new default. The old images were never
+// uploaded here, so every variant points at the same URL and there is no
+// Media document behind them. Safe to run more than once.
+//
+// Usage: npm run migrate:images
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+
+const OLD_DEFAULT_AVATAR = 'https://via.placeholder.com/150';
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    // Raw collection: `image` is no longer in the schema
+    const variant = { url: '$image' };
+    const moved = await Tweet.collection.updateMany(
+      { image: { $nin: [null, ''] }, 'media.0': { $exists: false } },
+      [{
+        $set: {
+          media: [{
+            type: 'image',
+            altText: '',
+            variants: { thumbnail: variant, medium: variant, original: variant }
+          }]
+        }
+      }]
+    );
+    await Tweet.collection.updateMany({ image: { $exists: true } }, { $unset: { image: 1 } });
+    console.log(`Moved the images of ${moved.modifiedCount} tweets into their media`);
+
+    const avatars = await User.collection.updateMany(
+      { profileImage: OLD_DEFAULT_AVATAR },
+      { $set: { profileImage: User.schema.path('profileImage').defaultValue } }
+    );
+    console.log(`Reset the default avatar of ${avatars.modifiedCount} accounts`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrate().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -1,26 +1,53 @@
 
+const dotenv = require('dotenv');
+
+// Load environment variables first: modules below read them when loaded
+dotenv.config();
+
 const express = require('express');
 const mongoose = require('mongoose');
-const dotenv = require('dotenv');
 const morgan = require('morgan');
 const path = require('path');
-
-// Load environment variables
-dotenv.config();
+const storage = require('./utils/storage');
+const { startScheduler } = require('./utils/drafts');
+const { startAccountPurge } = require('./utils/accounts');
 
 // Initialize Express app
 const app = express();
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('MongoDB connected'))
+  .then(() => {
+    console.log('MongoDB connected');
+    // Publish scheduled tweets, including any that came due while stopped
+    startScheduler();
+    // Delete deactivated accounts whose grace period is over
+    startAccountPurge();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 for one hop) so req.ip
+// is the client's address; rate limits are keyed by it
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY)
+    ? parseInt(process.env.TRUST_PROXY, 10)
+    : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
+// Query-string tokens (the stream's JWT, email verification links) stay
+// out of the logs
+morgan.token('url', req => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/g, '$1[redacted]'));
 app.use(morgan('dev'));
 
+// Static files: default images and uploaded media (local storage only)
+app.use('/static', express.static(path.join(__dirname, 'public')));
+if (storage.router) {
+  app.use(storage.router);
+}
+
 // CORS middleware
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
@@ -35,6 +62,18 @@ app.use((req, res, next) => {
 // Routes
 app.use('/api/users', require('./routes/users'));
 app.use('/api/tweets', require('./routes/tweets'));
+app.use('/api/drafts', require('./routes/drafts'));
+app.use('/api/bookmarks', require('./routes/bookmarks'));
+app.use('/api/lists', require('./routes/lists'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/moderation', require('./routes/moderation'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/hashtags', require('./routes/hashtags'));
+app.use('/api/trends', require('./routes/trends'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/media', require('./routes/media'));
+app.use('/api/conversations', require('./routes/conversations'));
+app.use('/api/stream', require('./routes/stream'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,230 @@
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const Media = require('../models/Media');
+const Notification = require('../models/Notification');
+const FollowRequest = require('../models/FollowRequest');
+const Bookmark = require('../models/Bookmark');
+const List = require('../models/List');
+const Draft = require('../models/Draft');
+const Session = require('../models/Session');
+const EmailToken = require('../models/EmailToken');
+const LoginEvent = require('../models/LoginEvent');
+const Report = require('../models/Report');
+const SuggestionDismissal = require('../models/SuggestionDismissal');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { removeTweet, userFields } = require('./tweets');
+const { removeMedia } = require('./media');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days a deactivated account can still be restored by logging in
+const DEACTIVATION_GRACE_DAYS = parseInt(process.env.DEACTIVATION_GRACE_DAYS, 10) || 30;
+
+// How often deactivated accounts past their grace period are deleted
+const PURGE_INTERVAL_MS = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+// Most accounts deleted per purge run
+const BATCH_SIZE = 20;
+
+let timer = null;
+let running = false;
+
+// When a deactivated account will be deleted for good
+function deletionDate(user) {
+  return new Date(user.deactivatedAt.getTime() + DEACTIVATION_GRACE_DAYS * DAY);
+}
+
+// Delete a user and everything that refers to them: their tweets,
+// retweets, likes, follows, media, messages and the rest. The moderation
+// log is kept as it is, as a record of what moderators did.
+async function deleteAccount(user) {
+  const userId = user._id;
+
+  // Tweets and retweet entries, with their retweets, notifications,
+  // bookmarks and edit history
+  const tweets = Tweet.find({ user: userId }).setOptions({ includeHidden: true }).cursor();
+  for await (const tweet of tweets) {
+    await removeTweet(tweet);
+  }
+
+  // Likes of other users' tweets, and mentions of the user
+  const likedIds = await Like.find({ user: userId }).distinct('tweet');
+  await Tweet.updateMany(
+    { _id: { $in: likedIds } },
+    { $inc: { likesCount: -1 } }
+  );
+  await Like.deleteMany({ user: userId });
+  await Tweet.updateMany(
+    { 'entities.mentions.user': userId },
+    { $unset: { 'entities.mentions.$[mention].user': 1 } },
+    { arrayFilters: [{ 'mention.user': userId }] }
+  ).setOptions({ includeHidden: true });
+
+  // Follows, blocks and mutes in both directions
+  const [followingIds, followerIds] = await Promise.all([
+    Follow.find({ follower: userId }).distinct('followee'),
+    Follow.find({ followee: userId }).distinct('follower')
+  ]);
+  await User.updateMany({ _id: { $in: followingIds } }, { $inc: { followersCount: -1 } });
+  await User.updateMany({ _id: { $in: followerIds } }, { $inc: { followingCount: -1 } });
+  await Follow.deleteMany({ $or: [{ follower: userId }, { followee: userId }] });
+  await User.updateMany(
+    { $or: [{ blocked: userId }, { muted: userId }] },
+    { $pull: { blocked: userId, muted: userId } }
+  );
+  await FollowRequest.deleteMany({ $or: [{ from: userId }, { to: userId }] });
+  await SuggestionDismissal.deleteMany({ $or: [{ user: userId }, { dismissed: userId }] });
+
+  // Notifications to the user, and the user's part in grouped ones
+  await Notification.deleteMany({ recipient: userId });
+  await Notification.updateMany(
+    { actors: userId },
+    { $pull: { actors: userId }, $inc: { actorsCount: -1 } }
+  );
+  await Notification.deleteMany({ actorsCount: { $lte: 0 } });
+
+  // Uploaded images
+  const media = await Media.find({ owner: userId });
+  for (const item of media) {
+    await removeMedia(item);
+  }
+
+  await Bookmark.deleteMany({ user: userId });
+  await List.deleteMany({ owner: userId });
+  await List.updateMany(
+    { $or: [{ members: userId }, { subscribers: userId }] },
+    { $pull: { members: userId, subscribers: userId } }
+  );
+  await Draft.deleteMany({ user: userId });
+  await Report.deleteMany({ $or: [{ reporter: userId }, { user: userId }] });
+
+  await removeFromConversations(userId);
+
+  await Session.deleteMany({ user: userId });
+  await EmailToken.deleteMany({ user: userId });
+  await LoginEvent.deleteMany({ user: userId });
+
+  await User.deleteOne({ _id: userId });
+}
+
+// Delete the user's messages and one-to-one conversations, and take them
+// out of group conversations
+async function removeFromConversations(userId) {
+  const conversations = await Conversation.find({ participants: userId });
+
+  for (const conversation of conversations) {
+    const others = conversation.participants.filter(id => !id.equals(userId));
+
+    if (!conversation.isGroup || !others.length) {
+      await Message.deleteMany({ conversation: conversation._id });
+      await conversation.deleteOne();
+      continue;
+    }
+
+    await Message.deleteMany({ conversation: conversation._id, sender: userId });
+    const lastMessage = await Message.findOne({ conversation: conversation._id })
+      .sort({ createdAt: -1 });
+
+    conversation.participants = others;
+    conversation.readBy = conversation.readBy.filter(receipt => !receipt.user.equals(userId));
+    if (conversation.createdBy.equals(userId)) {
+      conversation.createdBy = others[0];
+    }
+    conversation.lastMessage = lastMessage ? lastMessage._id : undefined;
+    await conversation.save();
+  }
+}
+
+// Delete deactivated accounts whose grace period is over
+async function purgeDeactivatedAccounts() {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  try {
+    const users = await User.find({
+      deactivatedAt: { $lte: new Date(Date.now() - DEACTIVATION_GRACE_DAYS * DAY) }
+    }).limit(BATCH_SIZE);
+
+    for (const user of users) {
+      try {
+        await deleteAccount(user);
+      } catch (error) {
+        // Left for the next run
+        console.error(error);
+      }
+    }
+  } catch (error) {
+    console.error(error);
+  } finally {
+    running = false;
+  }
+}
+
+function startAccountPurge() {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(purgeDeactivatedAccounts, PURGE_INTERVAL_MS);
+  timer.unref();
+  purgeDeactivatedAccounts();
+}
+
+function stopAccountPurge() {
+  clearInterval(timer);
+  timer = null;
+}
+
+// Everything the user has put into the service, for GET /api/users/me/export
+async function buildAccountExport(user) {
+  const userId = user._id;
+
+  const [tweets, likes, following, followers, media, bookmarks, lists, drafts] = await Promise.all([
+    Tweet.find({ user: userId })
+      .setOptions({ includeHidden: true })
+      .sort({ createdAt: -1 })
+      .lean(),
+    Like.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .populate({
+        path: 'tweet',
+        select: 'content user createdAt',
+        options: { includeHidden: true },
+        populate: { path: 'user', select: userFields }
+      })
+      .lean(),
+    Follow.find({ follower: userId }).sort({ createdAt: -1 }).populate('followee', userFields).lean(),
+    Follow.find({ followee: userId }).sort({ createdAt: -1 }).populate('follower', userFields).lean(),
+    Media.find({ owner: userId }).sort({ createdAt: -1 }),
+    Bookmark.find({ user: userId }).select('tweet createdAt').lean(),
+    List.find({ owner: userId }).lean(),
+    Draft.find({ user: userId }).select('-lockedAt -attempts').lean()
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: user.toJSON(),
+    tweets,
+    likes: likes.filter(like => like.tweet).map(like => ({ ...like.tweet, likedAt: like.createdAt })),
+    following: following.map(follow => follow.followee).filter(Boolean),
+    followers: followers.map(follow => follow.follower).filter(Boolean),
+    media: media.map(item => item.toJSON()),
+    bookmarks,
+    lists,
+    drafts
+  };
+}
+
+module.exports = {
+  DEACTIVATION_GRACE_DAYS,
+  deletionDate,
+  deleteAccount,
+  purgeDeactivatedAccounts,
+  startAccountPurge,
+  stopAccountPurge,
+  buildAccountExport
+};
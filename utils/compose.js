@@ -0,0 +1,169 @@
+const Tweet = require('../models/Tweet');
+const {
+  createNotification,
+  notifyMentions
+} = require('./notifications');
+const {
+  tweetPopulate,
+  findOriginalTweet,
+  updateParentCounts,
+  publishNewTweet,
+  publishTweetCounts
+} = require('./tweets');
+const { buildEntities } = require('./entities');
+const { resolveTweetMedia } = require('./media');
+const { getAccessibleAuthor } = require('./visibility');
+const { checkSpam, flagTweet } = require('./spam');
+
+// A tweet that can't be posted as requested; `status` is the HTTP status
+class ComposeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Check a tweet's content and media (`[{ id, altText }]`) and build its
+// fields, with parsed hashtags, mentions and URLs
+async function buildTweetFields({ content = '', media: mediaItems }, userId) {
+  if (!content.trim() && !(mediaItems && mediaItems.length)) {
+    throw new ComposeError('Content is required');
+  }
+
+  // Attach uploaded images (see POST /api/media)
+  const media = await resolveTweetMedia(mediaItems, userId);
+  if (!media) {
+    throw new ComposeError('Invalid media');
+  }
+
+  return {
+    content,
+    media,
+    entities: await buildEntities(content)
+  };
+}
+
+// Run the spam check on a new tweet's fields, or an edited tweet's with
+// `options.editing` (see checkSpam). Throws ComposeError if the tweet must
+// be rejected; otherwise returns the verdict (or null), to be applied with
+// applySpamVerdict once the tweet is built.
+async function screenTweet(user, fields, options) {
+  const verdict = await checkSpam(user, fields, options);
+  if (verdict && verdict.action === 'reject') {
+    throw new ComposeError(verdict.message, verdict.status);
+  }
+  return verdict;
+}
+
+// Mark a tweet shadow-hidden if the verdict says so
+function applySpamVerdict(tweet, verdict) {
+  tweet.shadowHidden = Boolean(verdict && verdict.action === 'shadow_hide');
+}
+
+// Post a tweet for `user`: check it, save it, notify the users it replies
+// to, quotes or mentions, and push it to live streams. `options._id` sets
+// the new tweet's id up front.
+async function createTweet(user, body, options = {}) {
+  const { replyToId, quoteTweetId } = body;
+
+  const fields = await buildTweetFields(body, user._id);
+  const verdict = await screenTweet(user, fields);
+
+  const newTweet = new Tweet({
+    ...fields,
+    _id: options._id,
+    user: user._id,
+    // Scheduled posts can come due while the author is inactive
+    authorInactiveUntil: user.inactiveUntil() || undefined,
+    authorProtected: user.protected || undefined
+  });
+  applySpamVerdict(newTweet, verdict);
+
+  // If it's a reply, add replyTo field
+  let originalTweet = null;
+  if (replyToId) {
+    originalTweet = await Tweet.findById(replyToId);
+    if (!originalTweet) {
+      throw new ComposeError('Tweet to reply to not found', 404);
+    }
+    if (!(await getAccessibleAuthor(user, originalTweet.user))) {
+      throw new ComposeError('You cannot reply to this tweet', 403);
+    }
+    newTweet.replyTo = replyToId;
+  }
+
+  // If it's a quote tweet, embed the original (never a retweet entry)
+  let quotedTweet = null;
+  if (quoteTweetId) {
+    quotedTweet = await findOriginalTweet(quoteTweetId);
+    if (!quotedTweet) {
+      throw new ComposeError('Tweet to quote not found', 404);
+    }
+    const quotedAuthor = await getAccessibleAuthor(user, quotedTweet.user);
+    if (!quotedAuthor || (quotedAuthor.protected && quotedAuthor.id !== user.id)) {
+      throw new ComposeError('You cannot quote this tweet', 403);
+    }
+    newTweet.quoteTweet = quotedTweet._id;
+  }
+
+  const tweet = await newTweet.save();
+
+  if (verdict) {
+    await flagTweet(tweet, verdict);
+  }
+
+  // Populate user, reply and quote info
+  await tweet.populate(tweetPopulate);
+
+  // Shadow-hidden tweets reach nobody but their author
+  if (tweet.shadowHidden) {
+    return tweet;
+  }
+
+  const counted = await updateParentCounts(tweet, 1);
+
+  // Notify the author of the original tweet and any mentioned users
+  if (originalTweet) {
+    await createNotification({
+      recipient: originalTweet.user,
+      actor: user._id,
+      type: 'reply',
+      tweet: tweet._id
+    });
+  }
+  if (quotedTweet) {
+    await createNotification({
+      recipient: quotedTweet.user,
+      actor: user._id,
+      type: 'quote',
+      tweet: tweet._id
+    });
+  }
+  await notifyMentions(
+    tweet,
+    user._id,
+    [originalTweet, quotedTweet].filter(Boolean).map(t => t.user)
+  );
+
+  // Push to live streams: followers get new tweets, viewers of the
+  // replied-to or quoted tweet get its updated counts
+  if (counted.quoteTweet) {
+    await publishTweetCounts(counted.quoteTweet);
+  }
+  if (counted.replyTo) {
+    await publishTweetCounts(counted.replyTo);
+  }
+  if (!originalTweet) {
+    await publishNewTweet(tweet, user);
+  }
+
+  return tweet;
+}
+
+module.exports = {
+  ComposeError,
+  buildTweetFields,
+  screenTweet,
+  applySpamVerdict,
+  createTweet
+};
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const Draft = require('../models/Draft');
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const { ComposeError, createTweet } = require('./compose');
+const { tweetPopulate } = require('./tweets');
+
+// How often the scheduler looks for due posts
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 15 * 1000;
+
+// A post claimed longer ago than this is assumed to belong to an instance
+// that died while publishing it, and is claimed again
+const SCHEDULER_LOCK_TIMEOUT_MS = parseInt(process.env.SCHEDULER_LOCK_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+
+// Publish attempts before a post is marked as failed
+const MAX_PUBLISH_ATTEMPTS = 5;
+
+// Most posts published per scheduler run
+const BATCH_SIZE = 50;
+
+let timer = null;
+let running = false;
+
+// Convert a POST /api/tweets style body into draft fields
+function toDraftFields({ content = '', media = [], replyToId, quoteTweetId }) {
+  return {
+    content,
+    media: media.map(item => ({ media: item.id, altText: item.altText })),
+    replyToId,
+    quoteTweetId
+  };
+}
+
+// Convert a draft back into a POST /api/tweets style body
+function toTweetBody(draft) {
+  return {
+    content: draft.content,
+    media: draft.media.map(item => ({ id: item.media, altText: item.altText })),
+    replyToId: draft.replyToId,
+    quoteTweetId: draft.quoteTweetId
+  };
+}
+
+// Claim a draft for publishing so no other request or instance publishes it
+// too. Returns null if it's already being published.
+function claimDraft(criteria) {
+  return Draft.findOneAndUpdate(
+    { ...criteria, status: { $ne: 'publishing' } },
+    { $set: { status: 'publishing', lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+}
+
+// Publish a claimed draft and delete it. Throws ComposeError if it can no
+// longer be posted (e.g. the replied-to tweet was deleted).
+// The tweet id is reserved on the draft first: if an earlier attempt saved
+// the tweet but died before deleting the draft, the retry sees the tweet
+// and doesn't post it again.
+async function publishDraft(draft) {
+  if (!draft.tweetId) {
+    draft.tweetId = new mongoose.Types.ObjectId();
+    await draft.save();
+  }
+
+  const [published, user] = await Promise.all([
+    Tweet.findById(draft.tweetId).setOptions({ includeHidden: true }).populate(tweetPopulate),
+    User.findById(draft.user)
+  ]);
+
+  if (published || !user) {
+    await draft.deleteOne();
+    return published;
+  }
+
+  const tweet = await createTweet(user, toTweetBody(draft), { _id: draft.tweetId });
+  await draft.deleteOne();
+  return tweet;
+}
+
+// Claim the next scheduled post that is due, or one whose claim has expired
+function claimDuePost() {
+  const now = new Date();
+  return Draft.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'scheduled', scheduledAt: { $lte: now } },
+        { status: 'publishing', lockedAt: { $lt: new Date(now - SCHEDULER_LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'publishing', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { scheduledAt: 1 }, new: true }
+  );
+}
+
+// Publish every post that is due. Safe to run on several instances at once:
+// each post is claimed atomically by exactly one of them.
+async function publishDuePosts() {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  try {
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const draft = await claimDuePost();
+      if (!draft) {
+        break;
+      }
+
+      try {
+        await publishDraft(draft);
+      } catch (error) {
+        if (!(error instanceof ComposeError)) {
+          console.error(error);
+        }
+        // Unexpected errors are retried once the claim expires
+        if (error instanceof ComposeError || draft.attempts >= MAX_PUBLISH_ATTEMPTS) {
+          await Draft.updateOne({ _id: draft._id }, {
+            $set: {
+              status: 'failed',
+              error: error instanceof ComposeError ? error.message : 'Could not publish'
+            },
+            $unset: { lockedAt: 1 }
+          });
+        }
+      }
+    }
+  } catch (error) {
+    console.error(error);
+  } finally {
+    running = false;
+  }
+}
+
+// Start publishing scheduled posts. Posts that came due while no instance
+// was running are published on the first run.
+function startScheduler() {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(publishDuePosts, SCHEDULER_INTERVAL_MS);
+  timer.unref();
+  publishDuePosts();
+}
+
+function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  toDraftFields,
+  toTweetBody,
+  claimDraft,
+  publishDraft,
+  startScheduler,
+  stopScheduler
+};
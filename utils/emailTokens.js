@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const EmailToken = require('../models/EmailToken');
+const { hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+const HOUR = 60 * 60 * 1000;
+
+// How long emailed links stay valid
+const VERIFY_EMAIL_TTL_MS = (parseInt(process.env.VERIFY_EMAIL_TTL_HOURS, 10) || 24) * HOUR;
+const RESET_PASSWORD_TTL_MS = (parseInt(process.env.RESET_PASSWORD_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+// Where emailed links point: the API's verify endpoint, and the client's
+// reset page, which posts the token to POST /api/users/reset-password
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+// Create a token of `type` for a user, replacing any earlier ones, and
+// return it
+async function createEmailToken(user, type, ttlMs) {
+  await EmailToken.deleteMany({ user: user._id, type });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await new EmailToken({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  }).save();
+
+  return token;
+}
+
+// Use up a token of `type`. Returns the id of its user, or null if the
+// token is unknown, expired or already used.
+async function consumeEmailToken(token, type) {
+  const emailToken = await EmailToken.findOneAndDelete({
+    tokenHash: hashToken(String(token)),
+    type,
+    expiresAt: { $gt: new Date() }
+  });
+  return emailToken && emailToken.user;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createEmailToken(user, 'verify_email', VERIFY_EMAIL_TTL_MS);
+  const link = `${API_URL}/api/users/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nConfirm your email address for @${user.username} by opening this link:\n\n${link}\n\nThe link expires in ${Math.round(VERIFY_EMAIL_TTL_MS / HOUR)} hours.`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await createEmailToken(user, 'reset_password', RESET_PASSWORD_TTL_MS);
+  const link = `${CLIENT_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password for @${user.username}. If it was you, choose a new password here:\n\n${link}\n\nThe link expires in ${Math.round(RESET_PASSWORD_TTL_MS / 60000)} minutes. If it wasn't you, you can ignore this email.`
+  });
+}
+
+module.exports = {
+  consumeEmailToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,77 @@
+const User = require('../models/User');
+
+// Offsets are JavaScript string indices: [start, end) of the whole entity,
+// including its leading # or @.
+const HASHTAG_REGEX = /(^|[^\p{L}\p{N}_&/])#([\p{L}\p{N}_]*[\p{L}_][\p{L}\p{N}_]*)/gu;
+const MENTION_REGEX = /(^|[^\p{L}\p{N}_@/])@(\w{1,15})(?!\w)/gu;
+const URL_REGEX = /\bhttps?:\/\/[^\s<>"]+/gi;
+
+// Punctuation that usually ends a sentence rather than a URL
+const URL_TRAILING_PUNCTUATION = /[.,:;!?'")\]]+$/;
+
+// Normalize a hashtag for storage and lookup ("#Chirp" -> "chirp")
+function normalizeTag(tag) {
+  return tag.replace(/^#/, '').toLowerCase();
+}
+
+// Pull hashtags, mentions and URLs out of tweet content
+function extractEntities(content) {
+  const hashtags = [];
+  const mentions = [];
+  const urls = [];
+
+  for (const match of content.matchAll(URL_REGEX)) {
+    const url = match[0].replace(URL_TRAILING_PUNCTUATION, '');
+    urls.push({
+      url,
+      indices: [match.index, match.index + url.length]
+    });
+  }
+
+  // Ignore # and @ that are part of a URL
+  const insideUrl = index => urls.some(({ indices }) => index >= indices[0] && index < indices[1]);
+
+  for (const match of content.matchAll(HASHTAG_REGEX)) {
+    const start = match.index + match[1].length;
+    if (insideUrl(start)) continue;
+    hashtags.push({
+      tag: normalizeTag(match[2]),
+      text: match[2],
+      indices: [start, start + match[2].length + 1]
+    });
+  }
+
+  for (const match of content.matchAll(MENTION_REGEX)) {
+    const start = match.index + match[1].length;
+    if (insideUrl(start)) continue;
+    mentions.push({
+      username: match[2].toLowerCase(),
+      indices: [start, start + match[2].length + 1]
+    });
+  }
+
+  return { hashtags, mentions, urls };
+}
+
+// Extract entities and resolve mentions to user ids, dropping unknown usernames
+async function buildEntities(content) {
+  const entities = extractEntities(content);
+
+  if (entities.mentions.length) {
+    const usernames = [...new Set(entities.mentions.map(m => m.username))];
+    const users = await User.find({ username: { $in: usernames } }).select('_id username');
+    const idsByUsername = new Map(users.map(user => [user.username, user._id]));
+
+    entities.mentions = entities.mentions
+      .filter(mention => idsByUsername.has(mention.username))
+      .map(mention => ({ ...mention, user: idsByUsername.get(mention.username) }));
+  }
+
+  return entities;
+}
+
+module.exports = {
+  normalizeTag,
+  extractEntities,
+  buildEntities
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+// In-process event hub for the real-time stream. Events are kept in a
+// bounded buffer so clients can resume from their last event id after
+// reconnecting; no external broker is needed.
+const BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE, 10) || 1000;
+
+const buffer = [];
+const connections = new Map();
+let lastEventId = 0;
+
+// Check whether an event should be delivered to a connection
+function matches(event, connection) {
+  if (event.recipients && event.recipients.includes(connection.userId)) {
+    return true;
+  }
+  if (event.tweetId && connection.tweetIds.has(event.tweetId)) {
+    return true;
+  }
+  return false;
+}
+
+// Write a single event to an SSE response
+function send(res, event) {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Publish an event to users (`recipients`) and/or viewers of a tweet (`tweetId`)
+function publish(type, data, { recipients, tweetId } = {}) {
+  const event = {
+    id: ++lastEventId,
+    type,
+    data,
+    recipients: recipients ? recipients.map(id => id.toString()) : null,
+    tweetId: tweetId ? tweetId.toString() : null
+  };
+
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  connections.forEach(connection => {
+    if (matches(event, connection)) {
+      send(connection.res, event);
+    }
+  });
+
+  return event;
+}
+
+// Register an SSE response and replay anything missed since `since`
+function subscribe(res, { userId, tweetIds = [], since }) {
+  const connection = {
+    id: crypto.randomUUID(),
+    userId: userId.toString(),
+    tweetIds: new Set(tweetIds.map(id => id.toString())),
+    res
+  };
+
+  connections.set(connection.id, connection);
+
+  if (since !== undefined && !Number.isNaN(since)) {
+    // The buffer no longer covers the gap (or the server restarted);
+    // tell the client to refetch
+    if (since > lastEventId || (buffer.length && buffer[0].id > since + 1)) {
+      res.write(`event: reset\ndata: {}\n\n`);
+    }
+    buffer
+      .filter(event => event.id > since && matches(event, connection))
+      .forEach(event => send(res, event));
+  }
+
+  return connection;
+}
+
+function unsubscribe(connectionId) {
+  connections.delete(connectionId);
+}
+
+function getConnection(connectionId) {
+  return connections.get(connectionId);
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  unsubscribe,
+  getConnection
+};
@@ -0,0 +1,186 @@
+const Tweet = require('../models/Tweet');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const { buildOffsetPage } = require('./pagination');
+const { tweetPopulate } = require('./tweets');
+const { getFollowingIds } = require('./follows');
+const { withVisibleAuthors } = require('./visibility');
+
+const HOUR = 60 * 60 * 1000;
+
+// Only tweets from this window are considered
+const CANDIDATE_WINDOW_HOURS = parseInt(process.env.FOR_YOU_WINDOW_HOURS, 10) || 72;
+
+// Most recent candidates scored per request, from each source
+const MAX_CANDIDATES = 500;
+
+// Most accounts followed by the user's follows that tweets are taken from:
+// the ones most of them follow
+const MAX_SECOND_DEGREE = 500;
+
+// A tweet's score halves every RECENCY_HALF_LIFE_HOURS
+const RECENCY_HALF_LIFE_HOURS = parseFloat(process.env.FOR_YOU_RECENCY_HALF_LIFE_HOURS) || 12;
+
+// Tweets from accounts the user doesn't follow need this much engagement
+// (likes + retweets + replies) to be shown, and count for less
+const MIN_OUT_OF_NETWORK_ENGAGEMENT = parseInt(process.env.FOR_YOU_MIN_ENGAGEMENT, 10) || 5;
+const OUT_OF_NETWORK_WEIGHT = 0.5;
+
+// Weights of each kind of engagement, on tweets and as signs of affinity
+const LIKE_WEIGHT = 1;
+const RETWEET_WEIGHT = 2;
+const REPLY_WEIGHT = 3;
+
+// Recent interactions of the user used to measure affinity with authors
+const AFFINITY_SAMPLE = 500;
+
+// Shared between tweet queries: original tweets (no retweet entries or
+// replies), self-threads once, by authors the user may see
+function candidateCriteria(authorIds, visibility) {
+  return withVisibleAuthors({
+    user: { $in: authorIds },
+    retweetData: { $exists: false },
+    replyTo: { $exists: false },
+    'thread.position': { $not: { $gt: 0 } },
+    createdAt: { $gte: new Date(Date.now() - CANDIDATE_WINDOW_HOURS * HOUR) }
+  }, visibility);
+}
+
+// How often the user has liked, retweeted or replied to each author
+// recently, keyed by author id
+async function getAuthorAffinity(viewer) {
+  const affinity = new Map();
+  const add = (authorId, weight) => {
+    const key = authorId.toString();
+    affinity.set(key, (affinity.get(key) || 0) + weight);
+  };
+
+  const [likes, retweets, replies] = await Promise.all([
+    Like.find({ user: viewer._id })
+      .sort({ createdAt: -1 })
+      .limit(AFFINITY_SAMPLE)
+      .populate('tweet', 'user')
+      .select('tweet')
+      .lean(),
+    Tweet.find({ user: viewer._id, retweetData: { $exists: true } })
+      .sort({ createdAt: -1 })
+      .limit(AFFINITY_SAMPLE)
+      .populate('retweetData', 'user')
+      .select('retweetData')
+      .lean(),
+    Tweet.find({ user: viewer._id, replyTo: { $exists: true } })
+      .sort({ createdAt: -1 })
+      .limit(AFFINITY_SAMPLE)
+      .populate('replyTo', 'user')
+      .select('replyTo')
+      .lean()
+  ]);
+
+  likes
+    .filter(like => like.tweet)
+    .forEach(like => add(like.tweet.user, LIKE_WEIGHT));
+  retweets
+    .filter(retweet => retweet.retweetData)
+    .forEach(retweet => add(retweet.retweetData.user, RETWEET_WEIGHT));
+  replies
+    .filter(reply => reply.replyTo && !reply.replyTo.user.equals(viewer._id))
+    .forEach(reply => add(reply.replyTo.user, REPLY_WEIGHT));
+
+  return affinity;
+}
+
+// Load recent candidates with their engagement counters
+function loadCandidates(criteria) {
+  return Tweet.find(criteria)
+    .sort({ createdAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .select('user createdAt likesCount retweetsCount repliesCount')
+    .lean();
+}
+
+// Reorder ranked tweets so the same author doesn't appear twice in a row
+// where it can be helped, keeping the order otherwise
+function spreadAuthors(ranked) {
+  const remaining = [...ranked];
+  const result = [];
+  let lastAuthor = null;
+
+  while (remaining.length) {
+    let index = remaining.findIndex(tweet => tweet.user.toString() !== lastAuthor);
+    if (index === -1) {
+      index = 0;
+    }
+    const [tweet] = remaining.splice(index, 1);
+    result.push(tweet);
+    lastAuthor = tweet.user.toString();
+  }
+
+  return result;
+}
+
+// Load a page of the "For You" feed: recent tweets from followed accounts
+// and well-liked tweets from accounts they follow, ranked by engagement,
+// recency and the user's affinity with the author. `page` is an offset
+// page (see getOffsetPage); `visibility` is the user's tweet visibility
+// (see getTweetVisibility).
+async function findForYouPage(viewer, visibility, { offset, limit }) {
+  const followingIds = await getFollowingIds(viewer._id);
+  const secondDegreeIds = (await Follow.aggregate([
+    {
+      $match: {
+        follower: { $in: followingIds },
+        followee: { $nin: [viewer._id, ...followingIds, ...visibility.hiddenIds] }
+      }
+    },
+    { $group: { _id: '$followee', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: MAX_SECOND_DEGREE }
+  ])).map(account => account._id);
+
+  const [inNetwork, outOfNetwork, affinity] = await Promise.all([
+    loadCandidates(candidateCriteria(followingIds, visibility)),
+    loadCandidates(candidateCriteria(secondDegreeIds, visibility)),
+    getAuthorAffinity(viewer)
+  ]);
+
+  const decayRate = Math.LN2 / (RECENCY_HALF_LIFE_HOURS * HOUR);
+  const now = Date.now();
+
+  const score = (tweet, weight) => {
+    const engagement = LIKE_WEIGHT * tweet.likesCount +
+      RETWEET_WEIGHT * tweet.retweetsCount +
+      REPLY_WEIGHT * tweet.repliesCount;
+    return {
+      ...tweet,
+      engagement,
+      score: weight *
+        (1 + Math.log1p(engagement)) *
+        (1 + Math.log1p(affinity.get(tweet.user.toString()) || 0)) *
+        Math.exp(-decayRate * (now - tweet.createdAt))
+    };
+  };
+
+  const ranked = spreadAuthors([
+    ...inNetwork.map(tweet => score(tweet, 1)),
+    ...outOfNetwork
+      .map(tweet => score(tweet, OUT_OF_NETWORK_WEIGHT))
+      .filter(tweet => tweet.engagement >= MIN_OUT_OF_NETWORK_ENGAGEMENT)
+  ].sort((a, b) => b.score - a.score || b._id.toString().localeCompare(a._id.toString())));
+
+  const ranking = ranked.slice(offset, offset + limit + 1);
+
+  // Load full documents and restore ranked order
+  const tweetsById = new Map(
+    (await Tweet.find({ _id: { $in: ranking.map(r => r._id) } }).populate(tweetPopulate))
+      .map(tweet => [tweet.id, tweet])
+  );
+  const tweets = ranking
+    .map(r => tweetsById.get(r._id.toString()))
+    .filter(Boolean);
+
+  return buildOffsetPage(tweets, offset, limit);
+}
+
+module.exports = {
+  findForYouPage
+};
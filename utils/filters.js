@@ -0,0 +1,65 @@
+const { escapeRegex } = require('./search');
+
+// Most muted words a user can have
+const MAX_MUTED_WORDS = 200;
+
+// A user's muted words that haven't expired
+function getActiveMutedWords(user) {
+  const now = new Date();
+  return (user.mutedWords || [])
+    .filter(({ expiresAt }) => !expiresAt || expiresAt > now)
+    .map(({ word }) => word);
+}
+
+// Build a matcher for whole words and phrases, ignoring case. A muted
+// "#tag" only matches the hashtag; a plain "tag" matches both.
+function buildMutedWordsMatcher(words) {
+  if (!words.length) {
+    return null;
+  }
+
+  const pattern = words
+    .map(word => escapeRegex(word).replace(/\s+/g, '\\s+'))
+    .join('|');
+  const regex = new RegExp(`(?:^|[^\\p{L}\\p{N}_#@])(?:#)?(?:${pattern})(?![\\p{L}\\p{N}_])`, 'iu');
+
+  return content => Boolean(content) && regex.test(content);
+}
+
+// Drop tweets whose content, or retweeted or quoted content, contains one
+// of the user's muted words. The user's own tweets are always kept.
+function filterMutedTweets(tweets, user) {
+  const matches = buildMutedWordsMatcher(getActiveMutedWords(user));
+  if (!matches) {
+    return tweets;
+  }
+
+  const isMuted = tweet => {
+    if (!tweet || !tweet.user) return false;
+    const authorId = tweet.user._id || tweet.user;
+    return authorId.toString() !== user._id.toString() && matches(tweet.content);
+  };
+
+  return tweets.filter(tweet =>
+    !isMuted(tweet) && !isMuted(tweet.retweetData) && !isMuted(tweet.quoteTweet)
+  );
+}
+
+// Drop notifications about tweets containing one of the user's muted words
+function filterMutedNotifications(notifications, user) {
+  const matches = buildMutedWordsMatcher(getActiveMutedWords(user));
+  if (!matches) {
+    return notifications;
+  }
+  return notifications.filter(notification =>
+    !(notification.tweet && matches(notification.tweet.content))
+  );
+}
+
+module.exports = {
+  MAX_MUTED_WORDS,
+  getActiveMutedWords,
+  buildMutedWordsMatcher,
+  filterMutedTweets,
+  filterMutedNotifications
+};
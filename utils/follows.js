@@ -0,0 +1,65 @@
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+
+// Ids of the users `userId` follows
+function getFollowingIds(userId) {
+  return Follow.find({ follower: userId }).distinct('followee');
+}
+
+// Ids of the users following `userId`
+function getFollowerIds(userId) {
+  return Follow.find({ followee: userId }).distinct('follower');
+}
+
+// Check whether one user follows another
+async function isFollowing(followerId, followeeId) {
+  return Boolean(await Follow.exists({ follower: followerId, followee: followeeId }));
+}
+
+// Which of `userIds` the follower follows, in one query; for isFollowing
+// flags on a page of users
+async function getFollowedIds(followerId, userIds) {
+  const followed = await Follow.find({
+    follower: followerId,
+    followee: { $in: userIds }
+  }).distinct('followee');
+  return new Set(followed.map(id => id.toString()));
+}
+
+// Make one user follow another and update both counters. Returns false if
+// they already did.
+async function addFollow(followerId, followeeId) {
+  const result = await Follow.updateOne(
+    { follower: followerId, followee: followeeId },
+    { $setOnInsert: { follower: followerId, followee: followeeId } },
+    { upsert: true }
+  );
+  if (!result.upsertedCount) {
+    return false;
+  }
+
+  await User.updateOne({ _id: followerId }, { $inc: { followingCount: 1 } });
+  await User.updateOne({ _id: followeeId }, { $inc: { followersCount: 1 } });
+  return true;
+}
+
+// Undo a follow and update both counters. Returns false if there was none.
+async function removeFollow(followerId, followeeId) {
+  const result = await Follow.deleteOne({ follower: followerId, followee: followeeId });
+  if (!result.deletedCount) {
+    return false;
+  }
+
+  await User.updateOne({ _id: followerId }, { $inc: { followingCount: -1 } });
+  await User.updateOne({ _id: followeeId }, { $inc: { followersCount: -1 } });
+  return true;
+}
+
+module.exports = {
+  getFollowingIds,
+  getFollowerIds,
+  isFollowing,
+  getFollowedIds,
+  addFollow,
+  removeFollow
+};
@@ -0,0 +1,46 @@
+const store = require('./rateLimitStore');
+
+// Failed passwords allowed before an account is locked
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+
+// The first lockout lasts this long and each further failure doubles it,
+// up to LOCKOUT_MAX_MS
+const LOCKOUT_BASE_MS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 60) * 1000;
+const LOCKOUT_MAX_MS = (parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 60) * 60 * 1000;
+
+// Failures are forgotten after a day without a successful login
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Failures are counted per email address, whether or not an account uses it
+const failuresKey = email => `login:failures:${email.toLowerCase()}`;
+const lockKey = email => `login:lock:${email.toLowerCase()}`;
+
+// Seconds until `email` may try to log in again, or 0 if it isn't locked
+async function getLockout(email) {
+  const lock = await store.get(lockKey(email));
+  return lock ? Math.max(1, Math.ceil((lock.resetAt - Date.now()) / 1000)) : 0;
+}
+
+// Count a failed login for `email`, locking it once there have been too many
+async function recordFailedLogin(email) {
+  const { count } = await store.increment(failuresKey(email), FAILURE_WINDOW_MS);
+  if (count >= LOCKOUT_THRESHOLD) {
+    const duration = Math.min(
+      LOCKOUT_BASE_MS * 2 ** (count - LOCKOUT_THRESHOLD),
+      LOCKOUT_MAX_MS
+    );
+    await store.set(lockKey(email), count, duration);
+  }
+}
+
+// Forget failed logins after a successful one
+async function clearFailedLogins(email) {
+  await store.reset(failuresKey(email));
+  await store.reset(lockKey(email));
+}
+
+module.exports = {
+  getLockout,
+  recordFailedLogin,
+  clearFailedLogins
+};
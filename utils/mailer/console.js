@@ -0,0 +1,9 @@
+// Development transport: prints emails to the console instead of sending them
+async function send({ from, to, subject, text }) {
+  console.log(`--- Email ---\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n-------------`);
+}
+
+module.exports = {
+  name: 'console',
+  send
+};
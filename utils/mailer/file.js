@@ -0,0 +1,19 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Development transport: writes each email as a JSON file under MAIL_DIR
+const root = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail'));
+
+async function send(message) {
+  await fs.mkdir(root, { recursive: true });
+  const name = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+  await fs.writeFile(
+    path.join(root, name),
+    JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+  );
+}
+
+module.exports = {
+  name: 'file',
+  send
+};
@@ -0,0 +1,26 @@
+// Outgoing email, sent through the transport chosen with MAIL_TRANSPORT.
+// Every transport exposes send({ from, to, subject, text }).
+const transports = {
+  console: () => require('./console'),
+  file: () => require('./file')
+};
+
+const transportName = process.env.MAIL_TRANSPORT || 'console';
+
+if (!transports[transportName]) {
+  throw new Error(`Unknown mail transport: ${transportName}`);
+}
+
+const transport = transports[transportName]();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Chirp <no-reply@chirp.local>';
+
+// Send a plain-text email
+function sendMail({ to, subject, text }) {
+  return transport.send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  transport,
+  sendMail
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const Media = require('../models/Media');
+const storage = require('./storage');
+
+// Formats accepted after sniffing the actual file content
+const OUTPUT_FORMATS = {
+  jpeg: { format: 'jpeg', contentType: 'image/jpeg', ext: 'jpg', options: { quality: 85, mozjpeg: true } },
+  png: { format: 'png', contentType: 'image/png', ext: 'png', options: {} },
+  webp: { format: 'webp', contentType: 'image/webp', ext: 'webp', options: { quality: 85 } },
+  // Animated GIFs are flattened to their first frame
+  gif: { format: 'png', contentType: 'image/png', ext: 'png', options: {} }
+};
+
+// Resize rules per upload kind. `fit: 'cover'` crops to the exact size.
+const VARIANTS = {
+  tweet: {
+    thumbnail: { width: 150, height: 150, fit: 'inside' },
+    medium: { width: 680, height: 680, fit: 'inside' },
+    original: { width: 4096, height: 4096, fit: 'inside' }
+  },
+  avatar: {
+    thumbnail: { width: 48, height: 48, fit: 'cover' },
+    medium: { width: 400, height: 400, fit: 'cover' },
+    original: { width: 1024, height: 1024, fit: 'cover' }
+  },
+  cover: {
+    thumbnail: { width: 300, height: 100, fit: 'cover' },
+    medium: { width: 1500, height: 500, fit: 'cover' },
+    original: { width: 3000, height: 1000, fit: 'cover' }
+  }
+};
+
+// Images larger than this many pixels are rejected before decoding
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+class InvalidImageError extends Error {}
+
+// Check the content really is a supported image
+async function inspectImage(buffer) {
+  try {
+    const metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    if (!OUTPUT_FORMATS[metadata.format]) {
+      throw new InvalidImageError('Unsupported image format');
+    }
+    return metadata;
+  } catch (error) {
+    if (error instanceof InvalidImageError) throw error;
+    throw new InvalidImageError('File is not a valid image');
+  }
+}
+
+// Produce resized variants. sharp drops EXIF and other metadata unless asked
+// to keep it; rotate() first applies the EXIF orientation to the pixels.
+async function processImage(buffer, kind = 'tweet') {
+  const metadata = await inspectImage(buffer);
+  const output = OUTPUT_FORMATS[metadata.format];
+
+  const variants = {};
+  for (const [name, size] of Object.entries(VARIANTS[kind])) {
+    const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize({ ...size, withoutEnlargement: size.fit === 'inside' })
+      .toFormat(output.format, output.options)
+      .toBuffer({ resolveWithObject: true });
+
+    variants[name] = { data, width: info.width, height: info.height, size: info.size };
+  }
+
+  return { variants, contentType: output.contentType, ext: output.ext };
+}
+
+// Process an uploaded image, store every variant and record it
+async function storeImage(buffer, { owner, kind = 'tweet' }) {
+  const { variants, contentType, ext } = await processImage(buffer, kind);
+  const id = crypto.randomBytes(12).toString('hex');
+
+  const media = new Media({ owner, kind, contentType });
+
+  for (const [name, variant] of Object.entries(variants)) {
+    const key = `${kind}/${owner}/${id}_${name}.${ext}`;
+    const url = await storage.save(key, variant.data, contentType);
+    media.variants[name] = {
+      key,
+      url,
+      width: variant.width,
+      height: variant.height,
+      size: variant.size
+    };
+  }
+
+  return media.save();
+}
+
+// Turn `[{ id, altText }]` from a request into tweet media entries.
+// Returns null unless every id is a tweet image uploaded by `owner`.
+async function resolveTweetMedia(items = [], owner) {
+  if (!items.length) {
+    return [];
+  }
+
+  const ids = items.map(item => item.id);
+  const mediaDocs = await Media.find({ _id: { $in: ids }, owner, kind: 'tweet' });
+  const mediaById = new Map(mediaDocs.map(media => [media.id, media]));
+
+  if (new Set(ids.map(String)).size !== ids.length || mediaById.size !== ids.length) {
+    return null;
+  }
+
+  return items.map(item => {
+    const media = mediaById.get(String(item.id));
+    const variants = {};
+    ['thumbnail', 'medium', 'original'].forEach(name => {
+      const { url, width, height } = media.variants[name];
+      variants[name] = { url, width, height };
+    });
+
+    return {
+      media: media._id,
+      type: 'image',
+      altText: item.altText || '',
+      variants
+    };
+  });
+}
+
+// Delete a media document and its stored files
+async function removeMedia(media) {
+  await Promise.all(
+    ['thumbnail', 'medium', 'original']
+      .filter(name => media.variants[name] && media.variants[name].key)
+      .map(name => storage.remove(media.variants[name].key))
+  );
+  await media.deleteOne();
+}
+
+module.exports = {
+  InvalidImageError,
+  processImage,
+  storeImage,
+  resolveTweetMedia,
+  removeMedia
+};
@@ -0,0 +1,63 @@
+const Report = require('../models/Report');
+const ModerationLog = require('../models/ModerationLog');
+
+// Higher roles can act on everyone below them
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
+
+// Check whether a user has at least the given role
+function hasRole(user, role) {
+  return ROLE_RANK[user.role || 'user'] >= ROLE_RANK[role];
+}
+
+// Check whether a moderator may act on another user
+function outranks(moderator, target) {
+  return ROLE_RANK[moderator.role || 'user'] > ROLE_RANK[target.role || 'user'];
+}
+
+// Why a user may not sign in, or null if they may
+function getAccountRestriction(user) {
+  if (user.bannedAt) {
+    return 'This account has been banned';
+  }
+  if (user.suspendedUntil && user.suspendedUntil > new Date()) {
+    return `This account is suspended until ${user.suspendedUntil.toISOString()}`;
+  }
+  return null;
+}
+
+// Record a moderation action in the audit log
+function logAction(moderator, action, { tweet, user, report, reason, details } = {}) {
+  return new ModerationLog({
+    moderator: moderator._id,
+    action,
+    tweet,
+    user,
+    report,
+    reason,
+    details
+  }).save();
+}
+
+// Close every open report about a tweet or user once it has been acted on
+function resolveReports(target, moderator, action) {
+  return Report.updateMany(
+    { ...target, status: 'open' },
+    {
+      $set: {
+        status: action === 'dismiss' ? 'dismissed' : 'resolved',
+        action,
+        resolvedBy: moderator._id,
+        resolvedAt: new Date()
+      }
+    }
+  );
+}
+
+module.exports = {
+  ROLE_RANK,
+  hasRole,
+  outranks,
+  getAccountRestriction,
+  logAction,
+  resolveReports
+};
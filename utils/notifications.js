@@ -0,0 +1,115 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const eventStream = require('./eventStream');
+
+// Notification types that are grouped per tweet while unread
+const GROUPED_TYPES = ['like', 'retweet'];
+
+// Create a notification, or add the actor to an existing unread group
+async function createNotification({ recipient, actor, type, tweet }) {
+  // Never notify users about their own actions
+  if (recipient.toString() === actor.toString()) {
+    return null;
+  }
+
+  // Skip actors the recipient has blocked or muted
+  const ignored = await User.exists({
+    _id: recipient,
+    $or: [{ blocked: actor }, { muted: actor }]
+  });
+  if (ignored) {
+    return null;
+  }
+
+  if (GROUPED_TYPES.includes(type)) {
+    return addToGroup({ recipient, actor, type, tweet });
+  }
+
+  return pushNotification(await Notification.create({
+    recipient,
+    type,
+    actors: [actor],
+    tweet
+  }));
+}
+
+// Add the actor to the unread group of `type` notifications about the
+// tweet, creating it if there is none. Creating it races with other events
+// for the same group; the unique index lets one win and the others retry.
+async function addToGroup({ recipient, actor, type, tweet }) {
+  const group = { recipient, type, tweet, read: false };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      return pushNotification(await Notification.findOneAndUpdate(
+        { ...group, actors: { $ne: actor } },
+        {
+          $push: { actors: { $each: [actor], $position: 0 } },
+          $inc: { actorsCount: 1 },
+          $setOnInsert: { grouped: true }
+        },
+        { upsert: true, new: true }
+      ));
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  // The actor is already in the group
+  return Notification.findOne(group);
+}
+
+// Send a new or updated notification to the recipient's live stream
+function pushNotification(notification) {
+  eventStream.publish('notification', notification.toJSON(), {
+    recipients: [notification.recipient]
+  });
+  return notification;
+}
+
+// Undo a notification (e.g. after an unlike or unfollow)
+async function removeNotification({ recipient, actor, type, tweet }) {
+  const criteria = { recipient, type, actors: actor, read: false };
+  if (tweet) {
+    criteria.tweet = tweet;
+  }
+
+  const notification = await Notification.findOne(criteria);
+  if (!notification) {
+    return;
+  }
+
+  if (notification.actorsCount <= 1) {
+    await notification.deleteOne();
+    return;
+  }
+
+  notification.actors = notification.actors.filter(
+    id => id.toString() !== actor.toString()
+  );
+  notification.actorsCount -= 1;
+  await notification.save();
+}
+
+// Notify every user mentioned in a tweet, except those in `skip`
+async function notifyMentions(tweet, actor, skip = []) {
+  const skipIds = skip.map(id => id.toString());
+  const recipients = [...new Set(
+    tweet.entities.mentions.map(mention => mention.user.toString())
+  )].filter(id => !skipIds.includes(id));
+
+  await Promise.all(recipients.map(recipient => createNotification({
+    recipient,
+    actor,
+    type: 'mention',
+    tweet: tweet._id
+  })));
+}
+
+module.exports = {
+  createNotification,
+  removeNotification,
+  notifyMentions
+};
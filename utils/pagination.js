@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Cursors are opaque to clients: base64url-encoded [timestamp, _id]
+function encodeCursor(doc, field = 'createdAt') {
+  const value = doc[field] instanceof Date ? doc[field] : new Date(doc[field]);
+  return Buffer.from(JSON.stringify([value.getTime(), doc._id.toString()]))
+    .toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [time, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Number.isFinite(time) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return { date: new Date(time), id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Offset cursors are used for ranked results that have no stable sort key
+function encodeOffsetCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeOffsetCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Read an offset page from `before`/`after`/`limit`. Clients pass the cursors
+// back the same way as for time-ordered pages. Returns null on a bad cursor,
+// or when both `before` and `after` are given.
+function getOffsetPage({ before, after, limit } = {}, { defaultLimit } = {}) {
+  if (before && after) {
+    return null;
+  }
+
+  const cursor = before || after;
+  const offset = cursor ? decodeOffsetCursor(cursor) : 0;
+
+  if (offset === null) {
+    return null;
+  }
+
+  return { offset, limit: parseLimit(limit, defaultLimit) };
+}
+
+// Turn `limit + 1` ranked results starting at `offset` into a page with cursors
+function buildOffsetPage(results, offset, limit) {
+  return {
+    items: results.slice(0, limit),
+    nextCursor: results.length > limit ? encodeOffsetCursor(offset + limit) : null,
+    prevCursor: offset > 0 ? encodeOffsetCursor(Math.max(0, offset - limit)) : null
+  };
+}
+
+// Clamp a requested page size to [1, MAX_LIMIT]
+function parseLimit(limit, defaultLimit = DEFAULT_LIMIT) {
+  const parsed = parseInt(limit, 10);
+  if (!parsed || parsed < 1) {
+    return defaultLimit;
+  }
+  return Math.min(parsed, MAX_LIMIT);
+}
+
+// Build a page description from `before`/`after`/`limit` query params.
+// Pages are always returned newest first, ordered by `field` then `_id`.
+// Returns null when a cursor can't be decoded, or when both `before` and
+// `after` are given.
+function getPage({ before, after, limit } = {}, { field = 'createdAt', defaultLimit } = {}) {
+  if (before && after) {
+    return null;
+  }
+
+  const cursor = before || after;
+  const decoded = cursor ? decodeCursor(cursor) : null;
+
+  if (cursor && !decoded) {
+    return null;
+  }
+
+  const direction = after ? 1 : -1;
+  const operator = after ? '$gt' : '$lt';
+
+  let filter = {};
+  if (decoded) {
+    filter = {
+      $or: [
+        { [field]: { [operator]: decoded.date } },
+        { [field]: decoded.date, _id: { [operator]: decoded.id } }
+      ]
+    };
+  }
+
+  return {
+    field,
+    after: Boolean(after),
+    cursor: cursor || null,
+    limit: parseLimit(limit, defaultLimit),
+    filter,
+    sort: { [field]: direction, _id: direction }
+  };
+}
+
+// Combine existing query criteria with the page's cursor filter
+function withPage(criteria, page) {
+  if (!page.filter.$or) {
+    return criteria;
+  }
+  return Object.keys(criteria).length ? { $and: [criteria, page.filter] } : page.filter;
+}
+
+// Turn `limit + 1` fetched documents into a page with cursors.
+// `nextCursor` continues towards older items, `prevCursor` towards newer ones.
+function buildPage(docs, page) {
+  const hasMore = docs.length > page.limit;
+  let items = docs.slice(0, page.limit);
+
+  // `after` pages are fetched oldest first; flip them back to newest first
+  if (page.after) {
+    items = items.reverse();
+  }
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  let nextCursor = null;
+  if (last && (page.after || hasMore)) {
+    nextCursor = encodeCursor(last, page.field);
+  }
+
+  let prevCursor = null;
+  if (first) {
+    prevCursor = encodeCursor(first, page.field);
+  } else if (page.after) {
+    // Nothing newer yet; keep polling from the same point
+    prevCursor = page.cursor;
+  }
+
+  return { items, nextCursor, prevCursor };
+}
+
+// Run a paginated find on a model, applying sort and limit
+async function paginate(query, page) {
+  const docs = await query.sort(page.sort).limit(page.limit + 1);
+  return buildPage(docs, page);
+}
+
+module.exports = {
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+  getOffsetPage,
+  buildOffsetPage,
+  parseLimit,
+  getPage,
+  withPage,
+  buildPage,
+  paginate
+};
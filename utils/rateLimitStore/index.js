@@ -0,0 +1,19 @@
+// Counter store for rate limits and login lockouts, chosen with
+// RATE_LIMIT_STORE. Every store exposes, all async:
+//   increment(key, windowMs) -> { count, resetAt }  counts a hit, starting a
+//                                                   new window if none is open
+//   get(key) -> { count, resetAt } or null
+//   set(key, count, ttlMs)
+//   reset(key)
+// `resetAt` is a timestamp in milliseconds.
+const stores = {
+  memory: () => require('./memory')
+};
+
+const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+
+if (!stores[storeName]) {
+  throw new Error(`Unknown rate limit store: ${storeName}`);
+}
+
+module.exports = stores[storeName]();
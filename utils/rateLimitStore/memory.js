@@ -0,0 +1,56 @@
+// In-memory store: counters live in this process only, so each instance
+// of the app keeps its own limits and they are lost on restart
+const entries = new Map();
+
+// How often expired counters are cleared out
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function current(key) {
+  const entry = entries.get(key);
+  if (entry && entry.resetAt <= Date.now()) {
+    entries.delete(key);
+    return null;
+  }
+  return entry || null;
+}
+
+async function increment(key, windowMs) {
+  let entry = current(key);
+  if (!entry) {
+    entry = { count: 0, resetAt: Date.now() + windowMs };
+    entries.set(key, entry);
+  }
+  entry.count += 1;
+  return { ...entry };
+}
+
+async function get(key) {
+  const entry = current(key);
+  return entry && { ...entry };
+}
+
+async function set(key, count, ttlMs) {
+  entries.set(key, { count, resetAt: Date.now() + ttlMs });
+}
+
+async function reset(key) {
+  entries.delete(key);
+}
+
+// Don't let the sweep keep the process alive
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of entries) {
+    if (entry.resetAt <= now) {
+      entries.delete(key);
+    }
+  }
+}, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+  name: 'memory',
+  increment,
+  get,
+  set,
+  reset
+};
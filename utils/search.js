@@ -0,0 +1,136 @@
+const User = require('../models/User');
+
+// Escape user input for use inside a RegExp
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Operators accepted as `name:value`
+const OPERATORS = ['from', 'has', 'since', 'until'];
+const HAS_VALUES = ['media', 'links', 'mentions', 'hashtags'];
+
+// Split a query into terms, "quoted phrases", -exclusions and operators.
+// e.g. `from:alice "new phone" -android has:media since:2024-01-01`
+function parseSearchQuery(q = '') {
+  const parsed = {
+    terms: [],
+    phrases: [],
+    excluded: [],
+    from: [],
+    has: [],
+    since: null,
+    until: null
+  };
+
+  const tokenRegex = /(-?)"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = tokenRegex.exec(q)) !== null) {
+    // Quoted phrase, possibly negated
+    if (match[2] !== undefined) {
+      const phrase = match[2].trim();
+      if (phrase) {
+        (match[1] ? parsed.excluded : parsed.phrases).push(phrase);
+      }
+      continue;
+    }
+
+    const token = match[3];
+    const operator = token.match(/^(\w+):(.+)$/);
+
+    if (operator && OPERATORS.includes(operator[1].toLowerCase())) {
+      const name = operator[1].toLowerCase();
+      const value = operator[2];
+
+      if (name === 'from') {
+        parsed.from.push(value.replace(/^@/, '').toLowerCase());
+      } else if (name === 'has' && HAS_VALUES.includes(value.toLowerCase())) {
+        parsed.has.push(value.toLowerCase());
+      } else if (name === 'since' || name === 'until') {
+        const date = new Date(value);
+        if (!Number.isNaN(date.getTime())) {
+          parsed[name] = date;
+        }
+      }
+      continue;
+    }
+
+    if (token.length > 1 && token.startsWith('-')) {
+      parsed.excluded.push(token.slice(1));
+    } else if (token !== '-') {
+      parsed.terms.push(token);
+    }
+  }
+
+  return parsed;
+}
+
+// Build a $text search string from the free-text parts of a parsed query
+function toTextSearch(parsed) {
+  return [
+    ...parsed.terms,
+    ...parsed.phrases.map(phrase => `"${phrase}"`),
+    ...parsed.excluded.map(term => (term.includes(' ') ? `-"${term}"` : `-${term}`))
+  ].join(' ');
+}
+
+// Build tweet query criteria from a parsed query.
+// Returns null when the query can't match anything (e.g. unknown from: user).
+async function buildTweetSearchCriteria(parsed) {
+  const criteria = {};
+  const hasText = parsed.terms.length || parsed.phrases.length;
+
+  if (hasText) {
+    criteria.$text = { $search: toTextSearch(parsed) };
+  } else if (parsed.excluded.length) {
+    // $text needs a positive term, so exclusions alone fall back to a regex
+    criteria.content = {
+      $not: new RegExp(parsed.excluded.map(escapeRegex).join('|'), 'i')
+    };
+  }
+
+  if (parsed.from.length) {
+    const users = await User.find({ username: { $in: parsed.from } }).select('_id');
+    if (!users.length) {
+      return null;
+    }
+    criteria.user = { $in: users.map(user => user._id) };
+  }
+
+  parsed.has.forEach(value => {
+    switch (value) {
+      case 'media':
+        criteria['media.0'] = { $exists: true };
+        break;
+      case 'links':
+        criteria['entities.urls.0'] = { $exists: true };
+        break;
+      case 'mentions':
+        criteria['entities.mentions.0'] = { $exists: true };
+        break;
+      case 'hashtags':
+        criteria['entities.hashtags.0'] = { $exists: true };
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (parsed.since || parsed.until) {
+    criteria.createdAt = {};
+    if (parsed.since) criteria.createdAt.$gte = parsed.since;
+    if (parsed.until) criteria.createdAt.$lt = parsed.until;
+  }
+
+  // Retweet entries have no content of their own
+  criteria.retweetData = { $exists: false };
+
+  return criteria;
+}
+
+module.exports = {
+  escapeRegex,
+  parseSearchQuery,
+  toTextSearch,
+  buildTweetSearchCriteria
+};
@@ -0,0 +1,136 @@
+const Tweet = require('../models/Tweet');
+const Report = require('../models/Report');
+const { escapeRegex } = require('./search');
+
+const MINUTE = 60 * 1000;
+
+// What to do with a tweet that breaks a rule:
+//   reject       refuse to post it
+//   shadow_hide  post it, but only its author can see it; queued for review
+//   flag         post it normally and queue it for review
+const ACTIONS = ['reject', 'shadow_hide', 'flag'];
+
+function action(name, fallback) {
+  const value = process.env[name];
+  return ACTIONS.includes(value) ? value : fallback;
+}
+
+// Rules, their limits and actions. Each can be configured from the environment.
+const RULES = {
+  // The same content posted again within the window
+  duplicate: {
+    action: action('SPAM_DUPLICATE_ACTION', 'reject'),
+    limit: parseInt(process.env.SPAM_DUPLICATE_LIMIT, 10) || 1,
+    windowMinutes: parseInt(process.env.SPAM_DUPLICATE_WINDOW_MINUTES, 10) || 24 * 60,
+    message: 'You have already posted this'
+  },
+  // Too many tweets within the window
+  rate: {
+    action: action('SPAM_RATE_ACTION', 'reject'),
+    limit: parseInt(process.env.SPAM_RATE_LIMIT, 10) || 30,
+    windowMinutes: parseInt(process.env.SPAM_RATE_WINDOW_MINUTES, 10) || 10,
+    message: 'You are posting too fast, please slow down',
+    status: 429
+  },
+  links: {
+    action: action('SPAM_LINKS_ACTION', 'flag'),
+    limit: parseInt(process.env.SPAM_MAX_LINKS, 10) || 3,
+    message: 'This tweet has too many links'
+  },
+  mentions: {
+    action: action('SPAM_MENTIONS_ACTION', 'flag'),
+    limit: parseInt(process.env.SPAM_MAX_MENTIONS, 10) || 5,
+    message: 'This tweet mentions too many users'
+  },
+  // Comma separated list of words and phrases, e.g. "free followers,buy now"
+  bannedTerms: {
+    action: action('SPAM_BANNED_TERMS_ACTION', 'shadow_hide'),
+    terms: (process.env.SPAM_BANNED_TERMS || '')
+      .split(',')
+      .map(term => term.trim().toLowerCase())
+      .filter(Boolean),
+    message: 'This tweet contains a banned term'
+  }
+};
+
+// Rules are applied from the most to the least severe action
+const SEVERITY = { reject: 2, shadow_hide: 1, flag: 0 };
+
+const bannedTermsRegex = RULES.bannedTerms.terms.length
+  ? new RegExp(RULES.bannedTerms.terms.map(escapeRegex).join('|'), 'i')
+  : null;
+
+// Check a new tweet's fields (see buildTweetFields) against the spam rules.
+// With `editing`, the fields replace that tweet's: the posting rate isn't
+// checked and the tweet doesn't count as its own duplicate.
+// Returns the most severe broken rule as `{ rule, action, message, status }`,
+// or null if the tweet looks fine.
+async function checkSpam(user, { content, entities }, { editing } = {}) {
+  const broken = [];
+  const now = Date.now();
+
+  if (entities.urls.length > RULES.links.limit) {
+    broken.push('links');
+  }
+
+  if (entities.mentions.length > RULES.mentions.limit) {
+    broken.push('mentions');
+  }
+
+  if (bannedTermsRegex && bannedTermsRegex.test(content)) {
+    broken.push('bannedTerms');
+  }
+
+  // Shadow-hidden and hidden tweets count too
+  const [recentCount, duplicateCount] = await Promise.all([
+    editing
+      ? 0
+      : Tweet.countDocuments({
+        user: user._id,
+        createdAt: { $gte: new Date(now - RULES.rate.windowMinutes * MINUTE) }
+      }).setOptions({ includeHidden: true }),
+    content.trim()
+      ? Tweet.countDocuments({
+        user: user._id,
+        content: content.trim(),
+        createdAt: { $gte: new Date(now - RULES.duplicate.windowMinutes * MINUTE) },
+        ...(editing && { _id: { $ne: editing._id } })
+      }).setOptions({ includeHidden: true })
+      : 0
+  ]);
+
+  if (recentCount >= RULES.rate.limit) {
+    broken.push('rate');
+  }
+
+  if (duplicateCount >= RULES.duplicate.limit) {
+    broken.push('duplicate');
+  }
+
+  if (!broken.length) {
+    return null;
+  }
+
+  const rule = broken.sort((a, b) => SEVERITY[RULES[b].action] - SEVERITY[RULES[a].action])[0];
+  const { message, status = 400 } = RULES[rule];
+
+  return { rule, action: RULES[rule].action, message, status };
+}
+
+// Queue a posted tweet that broke a rule for moderator review
+function flagTweet(tweet, verdict) {
+  return new Report({
+    source: 'spam_filter',
+    targetType: 'tweet',
+    tweet: tweet._id,
+    user: tweet.user._id || tweet.user,
+    reason: 'spam',
+    details: `${verdict.message} (${verdict.rule}, ${verdict.action})`
+  }).save();
+}
+
+module.exports = {
+  RULES,
+  checkSpam,
+  flagTweet
+};
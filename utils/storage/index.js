@@ -0,0 +1,14 @@
+// Storage adapter for uploaded files, chosen with STORAGE_DRIVER.
+// Every adapter exposes save(key, buffer, contentType) -> url, remove(key)
+// and read(key) -> buffer, and may expose a `router` that serves its files.
+const drivers = {
+  local: () => require('./local')
+};
+
+const driverName = process.env.STORAGE_DRIVER || 'local';
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown storage driver: ${driverName}`);
+}
+
+module.exports = drivers[driverName]();
@@ -0,0 +1,50 @@
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+// Local-disk storage backend: files are written under UPLOADS_DIR and
+// served by the app itself under UPLOADS_URL
+const root = path.resolve(process.env.UPLOADS_DIR || path.join(__dirname, '..', '..', 'uploads'));
+const baseUrl = process.env.UPLOADS_URL || '/uploads';
+
+// Resolve a storage key to a path, refusing keys that escape the root
+function resolveKey(key) {
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+}
+
+async function save(key, buffer) {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+  return `${baseUrl}/${key}`;
+}
+
+async function remove(key) {
+  try {
+    await fs.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+async function read(key) {
+  return fs.readFile(resolveKey(key));
+}
+
+// Serves uploaded files; mounted by server.js
+const router = express.Router();
+router.use(baseUrl, express.static(root, { maxAge: '30d', immutable: true }));
+
+module.exports = {
+  name: 'local',
+  save,
+  remove,
+  read,
+  router
+};
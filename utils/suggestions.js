@@ -0,0 +1,207 @@
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const FollowRequest = require('../models/FollowRequest');
+const SuggestionDismissal = require('../models/SuggestionDismissal');
+const { getFollowingIds, getFollowerIds } = require('./follows');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Hashtag interests and activity are measured over this window
+const ACTIVITY_WINDOW_DAYS = 30;
+
+// Upper bound on candidates taken from each source
+const MAX_CANDIDATES = 200;
+
+// The user's most used hashtags count as their interests
+const MAX_INTERESTS = 10;
+
+// Weights of each signal in a suggestion's score
+const MUTUAL_WEIGHT = 3;
+const FOLLOWS_YOU_WEIGHT = 5;
+const HASHTAG_WEIGHT = 2;
+const MAX_HASHTAG_MATCHES = 5;
+const POPULARITY_WEIGHT = 0.5;
+
+// "alice", "alice and bob", "alice and 3 others". Falls back to just the
+// count when the named accounts are gone.
+function describeMutuals(usernames, count) {
+  if (usernames.length < (count === 2 ? 2 : 1)) {
+    return count === 1
+      ? 'Followed by an account you follow'
+      : `Followed by ${count} accounts you follow`;
+  }
+  if (count === 1) {
+    return `Followed by ${usernames[0]}`;
+  }
+  if (count === 2) {
+    return `Followed by ${usernames[0]} and ${usernames[1]}`;
+  }
+  return `Followed by ${usernames[0]} and ${count - 1} others`;
+}
+
+// Hashtags the user tweets about or likes most, over the activity window
+async function getInterests(viewer, since) {
+  const likedIds = await Like.find({ user: viewer._id, createdAt: { $gte: since } }).distinct('tweet');
+  const tags = await Tweet.aggregate([
+    {
+      $match: {
+        $or: [{ user: viewer._id }, { _id: { $in: likedIds } }],
+        createdAt: { $gte: since },
+        'entities.hashtags.0': { $exists: true }
+      }
+    },
+    { $unwind: '$entities.hashtags' },
+    { $group: { _id: '$entities.hashtags.tag', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: MAX_INTERESTS }
+  ]);
+  return tags.map(tag => tag._id);
+}
+
+// Rank accounts for the user to follow: friends of friends, followers they
+// don't follow back, accounts tweeting about the same hashtags and popular
+// accounts, favouring recently active ones. Leaves out `hiddenIds`,
+// accounts already followed or requested, and dismissed suggestions.
+// Returns `[{ userId, score, reason }]`, best first.
+async function rankSuggestions(viewer, hiddenIds) {
+  const since = new Date(Date.now() - ACTIVITY_WINDOW_DAYS * DAY);
+
+  const [followingIds, followerIds, requestedIds, dismissedIds] = await Promise.all([
+    getFollowingIds(viewer._id),
+    getFollowerIds(viewer._id),
+    FollowRequest.find({ from: viewer._id }).distinct('to'),
+    SuggestionDismissal.find({ user: viewer._id }).distinct('dismissed')
+  ]);
+  const excludedIds = [
+    viewer._id,
+    ...followingIds,
+    ...hiddenIds,
+    ...requestedIds,
+    ...dismissedIds
+  ];
+  const isExcluded = id => excludedIds.some(other => other.equals(id));
+
+  const interests = await getInterests(viewer, since);
+
+  const [mutuals, tagMatches, popular] = await Promise.all([
+    // Accounts followed by accounts the user follows
+    Follow.aggregate([
+      {
+        $match: {
+          follower: { $in: followingIds, $nin: hiddenIds },
+          followee: { $nin: excludedIds }
+        }
+      },
+      { $group: { _id: '$followee', count: { $sum: 1 }, via: { $push: '$follower' } } },
+      { $sort: { count: -1 } },
+      { $limit: MAX_CANDIDATES },
+      { $project: { count: 1, via: { $slice: ['$via', 2] } } }
+    ]),
+    // Accounts tweeting about the user's interests
+    interests.length
+      ? Tweet.aggregate([
+        {
+          $match: {
+            'entities.hashtags.tag': { $in: interests },
+            user: { $nin: excludedIds },
+            createdAt: { $gte: since }
+          }
+        },
+        { $unwind: '$entities.hashtags' },
+        { $match: { 'entities.hashtags.tag': { $in: interests } } },
+        { $group: { _id: '$user', count: { $sum: 1 }, tags: { $addToSet: '$entities.hashtags.tag' } } },
+        { $sort: { count: -1 } },
+        { $limit: MAX_CANDIDATES }
+      ])
+      : [],
+    // Most followed accounts, for users with little to go on
+    User.find({ _id: { $nin: excludedIds }, followersCount: { $gt: 0 }, ...User.activeCriteria() })
+      .sort({ followersCount: -1 })
+      .limit(MAX_CANDIDATES)
+      .select('followersCount')
+      .lean()
+  ]);
+
+  // Name the first couple of followed accounts behind each mutual
+  const viaUsers = await User.find({ _id: { $in: mutuals.flatMap(m => m.via) }, ...User.activeCriteria() })
+    .select('username')
+    .lean();
+  const usernames = new Map(viaUsers.map(user => [user._id.toString(), user.username]));
+  mutuals.forEach(m => {
+    m.via = m.via.map(id => usernames.get(id.toString())).filter(Boolean);
+  });
+
+  const candidates = new Map();
+  const candidate = id => {
+    const key = id.toString();
+    if (!candidates.has(key)) {
+      candidates.set(key, { userId: id, mutuals: null, followsYou: false, tags: [], tagCount: 0, followersCount: 0 });
+    }
+    return candidates.get(key);
+  };
+
+  mutuals.forEach(m => {
+    candidate(m._id).mutuals = m;
+  });
+  followerIds
+    .filter(id => !isExcluded(id))
+    .forEach(id => {
+      candidate(id).followsYou = true;
+    });
+  tagMatches.forEach(t => {
+    Object.assign(candidate(t._id), { tags: t.tags, tagCount: t.count });
+  });
+  popular.forEach(p => {
+    candidate(p._id).followersCount = p.followersCount;
+  });
+
+  // Suspended, banned and deactivated accounts aren't suggested
+  const activeIds = new Set(
+    (await User.find({ _id: { $in: [...candidates.values()].map(c => c.userId) }, ...User.activeCriteria() })
+      .distinct('_id'))
+      .map(id => id.toString())
+  );
+  [...candidates.keys()]
+    .filter(key => !activeIds.has(key))
+    .forEach(key => candidates.delete(key));
+
+  // Recent tweets per candidate, to favour active accounts
+  const activity = new Map(
+    (await Tweet.aggregate([
+      { $match: { user: { $in: [...candidates.values()].map(c => c.userId) }, createdAt: { $gte: since } } },
+      { $group: { _id: '$user', count: { $sum: 1 } } }
+    ])).map(a => [a._id.toString(), a.count])
+  );
+
+  return [...candidates.values()]
+    .map(c => {
+      const mutualCount = c.mutuals ? c.mutuals.count : 0;
+      const recentTweets = activity.get(c.userId.toString()) || 0;
+      const score = (
+        MUTUAL_WEIGHT * mutualCount +
+        (c.followsYou ? FOLLOWS_YOU_WEIGHT : 0) +
+        HASHTAG_WEIGHT * Math.min(c.tagCount, MAX_HASHTAG_MATCHES) +
+        POPULARITY_WEIGHT * Math.log1p(c.followersCount)
+      ) * (recentTweets ? 1 + Math.log1p(recentTweets) / 2 : 0.5);
+
+      let reason;
+      if (mutualCount) {
+        reason = describeMutuals(c.mutuals.via, mutualCount);
+      } else if (c.followsYou) {
+        reason = 'Follows you';
+      } else if (c.tags.length) {
+        reason = `Tweets about #${c.tags[0]}`;
+      } else {
+        reason = 'Popular on Chirp';
+      }
+
+      return { userId: c.userId, score, reason };
+    })
+    .sort((a, b) => b.score - a.score || b.userId.toString().localeCompare(a.userId.toString()));
+}
+
+module.exports = {
+  rankSuggestions
+};
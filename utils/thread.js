@@ -0,0 +1,153 @@
+const Tweet = require('../models/Tweet');
+const { tweetPopulate, addUserInteractionInfo } = require('./tweets');
+const { withVisibleAuthors, isHiddenAuthor, filterHiddenTweets } = require('./visibility');
+const { encodeOffsetCursor } = require('./pagination');
+
+// Stop walking up a reply chain after this many tweets
+const MAX_ANCESTORS = 50;
+
+// Upper bound on replies returned in one reply tree
+const MAX_THREAD_NODES = 100;
+
+// Load the chain of tweets a tweet replies to, root first. Tweets that were
+// deleted or are hidden from the viewer (by `visibility`, see
+// getTweetVisibility) are returned as placeholders.
+async function loadAncestors(tweet, viewer, visibility) {
+  const ancestors = [];
+  let parentId = tweet.replyTo && (tweet.replyTo._id || tweet.replyTo);
+
+  while (parentId && ancestors.length < MAX_ANCESTORS) {
+    const parent = await Tweet.findById(parentId).populate(tweetPopulate);
+
+    if (!parent) {
+      ancestors.unshift({ _id: parentId, unavailable: true });
+      break;
+    }
+
+    if (!parent.user || isHiddenAuthor(parent.user, visibility)) {
+      ancestors.unshift({ _id: parent._id, unavailable: true });
+    } else {
+      const [parentWithUserInfo] = await addUserInteractionInfo(
+        filterHiddenTweets([parent], visibility),
+        viewer
+      );
+      ancestors.unshift(parentWithUserInfo);
+    }
+
+    parentId = parent.replyTo && (parent.replyTo._id || parent.replyTo);
+  }
+
+  return ancestors;
+}
+
+// Find the author of the tweet that started the conversation
+async function getConversationAuthor(tweet) {
+  let current = tweet;
+  let steps = 0;
+
+  while (current.replyTo && steps < MAX_ANCESTORS) {
+    const parent = await Tweet.findById(current.replyTo._id || current.replyTo).select('user replyTo');
+    if (!parent) break;
+    current = parent;
+    steps++;
+  }
+
+  return current.user._id || current.user;
+}
+
+// Load one page of direct replies to a tweet. Replies by `authorId` (the
+// conversation's original author) come first, then by engagement, then oldest first.
+async function loadReplyPage(parentId, { authorId, visibility, offset, limit }) {
+  const ranked = await Tweet.aggregate([
+    { $match: withVisibleAuthors({ replyTo: parentId }, visibility) },
+    {
+      $project: {
+        isAuthor: { $eq: ['$user', authorId] },
+        engagement: {
+          $add: ['$likesCount', { $multiply: [2, '$retweetsCount'] }]
+        },
+        createdAt: 1
+      }
+    },
+    { $sort: { isAuthor: -1, engagement: -1, createdAt: 1, _id: 1 } },
+    { $skip: offset },
+    { $limit: limit + 1 }
+  ]);
+
+  const tweetsById = new Map(
+    (await Tweet.find({ _id: { $in: ranked.map(r => r._id) } }).populate(tweetPopulate))
+      .map(tweet => [tweet.id, tweet])
+  );
+
+  const replies = ranked
+    .slice(0, limit)
+    .map(r => tweetsById.get(r._id.toString()))
+    .filter(Boolean);
+
+  return {
+    replies,
+    nextCursor: ranked.length > limit ? encodeOffsetCursor(offset + limit) : null
+  };
+}
+
+// Build a tree of replies below `parentId`, `depth` levels deep with at most
+// `branches` replies per tweet and `maxNodes` in total. Higher ranked
+// branches are filled first. Each level has a cursor to load more replies.
+async function buildReplyTree(parentId, viewer, options) {
+  const { depth, branches, offset = 0, level = 1 } = options;
+  const budget = options.budget || { remaining: options.maxNodes || MAX_THREAD_NODES };
+
+  if (budget.remaining <= 0) {
+    // Out of room: the client loads this level on demand
+    const hasReplies = await Tweet.exists(withVisibleAuthors({ replyTo: parentId }, options.visibility));
+    return { replies: [], nextCursor: hasReplies ? encodeOffsetCursor(offset) : null };
+  }
+
+  const { replies, nextCursor } = await loadReplyPage(parentId, {
+    ...options,
+    offset,
+    limit: Math.min(branches, budget.remaining)
+  });
+  budget.remaining -= replies.length;
+
+  const tweetsWithUserInfo = await addUserInteractionInfo(
+    filterHiddenTweets(replies, options.visibility),
+    viewer
+  );
+
+  const nodes = [];
+  for (const tweet of tweetsWithUserInfo) {
+    const node = {
+      tweet,
+      depth: level,
+      replies: [],
+      moreRepliesCursor: null
+    };
+
+    if (tweet.commentsCount > 0) {
+      if (level < depth) {
+        const subtree = await buildReplyTree(tweet._id, viewer, {
+          ...options,
+          budget,
+          offset: 0,
+          level: level + 1
+        });
+        node.replies = subtree.replies;
+        node.moreRepliesCursor = subtree.nextCursor;
+      } else {
+        // Deeper replies are loaded on demand from the first one
+        node.moreRepliesCursor = encodeOffsetCursor(0);
+      }
+    }
+
+    nodes.push(node);
+  }
+
+  return { replies: nodes, nextCursor };
+}
+
+module.exports = {
+  loadAncestors,
+  getConversationAuthor,
+  buildReplyTree
+};
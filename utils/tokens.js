@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Don't write lastUsedAt on every request
+const LAST_USED_RESOLUTION = 5 * 60 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Refresh tokens are `<sessionId>.<secret>`, so a stale token still leads
+// to its session and reuse can be detected
+function newRefreshToken(session) {
+  const secret = newSecret();
+  session.tokenHash = hashToken(secret);
+  return `${session.id}.${secret}`;
+}
+
+function signAccessToken(user, session) {
+  return jwt.sign(
+    { id: user.id, sid: session.id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Start a new session for a user and issue its first token pair
+async function issueTokens(user, req) {
+  const session = new Session({
+    user: user._id,
+    deviceName: req.body.deviceName || '',
+    userAgent: req.get('User-Agent') || '',
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  const refreshToken = newRefreshToken(session);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    session
+  };
+}
+
+// Exchange a refresh token for a new token pair. Presenting an already
+// rotated token revokes the whole session. Returns null if not valid.
+async function rotateRefreshToken(refreshToken, req) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId).populate('user');
+  if (!session || session.revokedAt || session.expiresAt < new Date() || !session.user) {
+    return null;
+  }
+
+  // Suspended and banned users get no new tokens
+  if (session.user.isSuspended()) {
+    return null;
+  }
+
+  // Rotate only if the token is still the current one, so of two requests
+  // racing with the same token just one gets a new pair
+  const rotatedSecret = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hashToken(secret), revokedAt: { $exists: false } },
+    {
+      $set: {
+        tokenHash: hashToken(rotatedSecret),
+        lastUsedAt: new Date(),
+        ip: req.ip,
+        expiresAt: refreshExpiry()
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: 'reuse' } }
+    );
+    return null;
+  }
+
+  return {
+    user: session.user,
+    token: signAccessToken(session.user, rotated),
+    refreshToken: `${rotated.id}.${rotatedSecret}`,
+    session: rotated
+  };
+}
+
+async function revokeSession(session, reason = 'revoked') {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+}
+
+// Revoke every active session of a user, optionally keeping one
+async function revokeAllSessions(userId, exceptSessionId) {
+  const criteria = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    criteria._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(criteria, {
+    $set: { revokedAt: new Date(), revokedReason: 'revoked' }
+  });
+  return result.modifiedCount;
+}
+
+// Look up the active session behind an access token
+async function findActiveSession(sessionId, userId) {
+  const session = await Session.findById(sessionId);
+  if (
+    !session ||
+    session.revokedAt ||
+    session.expiresAt < new Date() ||
+    session.user.toString() !== userId
+  ) {
+    return null;
+  }
+
+  if (Date.now() - session.lastUsedAt > LAST_USED_RESOLUTION) {
+    session.lastUsedAt = new Date();
+    await session.save();
+  }
+
+  return session;
+}
+
+module.exports = {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  findActiveSession
+};
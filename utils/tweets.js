@@ -0,0 +1,319 @@
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const Bookmark = require('../models/Bookmark');
+const Like = require('../models/Like');
+const Notification = require('../models/Notification');
+const TweetVersion = require('../models/TweetVersion');
+const eventStream = require('./eventStream');
+const { withPage, paginate } = require('./pagination');
+const { getFollowerIds } = require('./follows');
+const { withVisibleAuthors } = require('./visibility');
+
+const userFields = 'name username profileImage protected';
+
+// Populate options shared by every tweet listing
+const tweetPopulate = [
+  { path: 'user', select: userFields },
+  {
+    path: 'replyTo',
+    populate: { path: 'user', select: userFields }
+  },
+  {
+    path: 'retweetData',
+    populate: [
+      { path: 'user', select: userFields },
+      { path: 'quoteTweet', populate: { path: 'user', select: userFields } }
+    ]
+  },
+  {
+    path: 'quoteTweet',
+    populate: { path: 'user', select: userFields }
+  }
+];
+
+// Helper function to find a tweet, following retweet entries to the original
+async function findOriginalTweet(id) {
+  const tweet = await Tweet.findById(id);
+  if (tweet && tweet.retweetData) {
+    return Tweet.findById(tweet.retweetData);
+  }
+  return tweet;
+}
+
+// Helper function to load a page of a timeline: tweets and retweets by
+// `authorIds`, leaving out replies and authors `visibility` hides (see
+// GET /api/tweets). `viewer` also sees their own shadow-hidden tweets.
+function findTimelinePage(authorIds, visibility, page, viewer) {
+  return paginate(
+    Tweet.find(withPage(withVisibleAuthors({
+      user: { $in: authorIds },
+      replyTo: { $exists: false }
+    }, visibility), page))
+      .setOptions({ viewer: viewer && viewer._id })
+      .populate(tweetPopulate),
+    page
+  );
+}
+
+// Helper function to delete a tweet and everything pointing at it
+async function removeTweet(tweet) {
+  await tweet.deleteOne();
+
+  if (tweet.retweetData) {
+    // Deleting a retweet entry undoes the retweet
+    await Tweet.updateOne({ _id: tweet.retweetData }, { $inc: { retweetsCount: -1 } });
+  } else {
+    // Remove retweets and likes of the deleted tweet
+    await Tweet.deleteMany({ retweetData: tweet._id });
+    await Like.deleteMany({ tweet: tweet._id });
+
+    // Shadow-hidden tweets were never counted
+    if (!tweet.shadowHidden) {
+      await updateParentCounts(tweet, -1);
+    }
+  }
+
+  // Remove notifications, bookmarks and edit history of the deleted tweet
+  await Notification.deleteMany({ tweet: tweet._id });
+  await Bookmark.deleteMany({ tweet: tweet._id });
+  await TweetVersion.deleteMany({ tweet: tweet._id });
+}
+
+// Helper function to count a new tweet (`delta` 1) or a removed one (-1)
+// in the replies and quotes counters of the tweets it replies to and
+// quotes. Returns those tweets with their updated counters.
+async function updateParentCounts(tweet, delta) {
+  const idOf = value => value && (value._id || value);
+
+  const [replyTo, quoteTweet] = await Promise.all([
+    tweet.replyTo && Tweet.findByIdAndUpdate(
+      idOf(tweet.replyTo),
+      { $inc: { repliesCount: delta } },
+      { new: true }
+    ),
+    tweet.quoteTweet && Tweet.findByIdAndUpdate(
+      idOf(tweet.quoteTweet),
+      { $inc: { quotesCount: delta } },
+      { new: true }
+    )
+  ]);
+
+  return { replyTo, quoteTweet };
+}
+
+// Helper function to record a like. Returns the tweet with its updated
+// counters, or null if the user had already liked it.
+async function likeTweet(tweet, userId) {
+  const result = await Like.updateOne(
+    { user: userId, tweet: tweet._id },
+    { $setOnInsert: { user: userId, tweet: tweet._id } },
+    { upsert: true }
+  );
+  if (!result.upsertedCount) {
+    return null;
+  }
+  return Tweet.findByIdAndUpdate(tweet._id, { $inc: { likesCount: 1 } }, { new: true });
+}
+
+// Helper function to undo a like. Returns the tweet with its updated
+// counters, or null if the user hadn't liked it.
+async function unlikeTweet(tweet, userId) {
+  const result = await Like.deleteOne({ user: userId, tweet: tweet._id });
+  if (!result.deletedCount) {
+    return null;
+  }
+  return Tweet.findByIdAndUpdate(tweet._id, { $inc: { likesCount: -1 } }, { new: true });
+}
+
+// Helper function to retweet: creates the retweet entry shown in
+// followers' timelines. Returns the entry and the original tweet with its
+// updated counters, or null if the user had already retweeted it.
+async function retweetTweet(tweet, user) {
+  let retweet;
+  try {
+    retweet = await Tweet.create({
+      user: user._id,
+      retweetData: tweet._id,
+      authorProtected: user.protected || undefined
+    });
+  } catch (error) {
+    // One retweet entry per user and tweet (unique index)
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  const original = await Tweet.findByIdAndUpdate(
+    tweet._id,
+    { $inc: { retweetsCount: 1 } },
+    { new: true }
+  );
+  return { retweet, tweet: original };
+}
+
+// Helper function to undo a retweet by removing its entry. Returns the
+// original tweet with its updated counters, or null if the user hadn't
+// retweeted it.
+async function unretweetTweet(tweet, userId) {
+  const result = await Tweet.deleteOne({ user: userId, retweetData: tweet._id });
+  if (!result.deletedCount) {
+    return null;
+  }
+  return Tweet.findByIdAndUpdate(tweet._id, { $inc: { retweetsCount: -1 } }, { new: true });
+}
+
+// Helper function to hide or show a user's tweets after they were
+// suspended, banned, deactivated or restored
+function updateAuthorVisibility(user) {
+  const until = user.inactiveUntil();
+  return Tweet.updateMany(
+    { user: user._id },
+    until ? { $set: { authorInactiveUntil: until } } : { $unset: { authorInactiveUntil: 1 } }
+  );
+}
+
+// Helper function to mark a user's tweets as protected or not after they
+// changed the setting
+function updateAuthorProtection(user) {
+  return Tweet.updateMany(
+    { user: user._id },
+    user.protected ? { $set: { authorProtected: true } } : { $unset: { authorProtected: 1 } }
+  );
+}
+
+// Helper function to push a new tweet to the author's and followers' streams,
+// skipping followers who muted the author
+async function publishNewTweet(tweet, author) {
+  const followerIds = await User.find({
+    _id: { $in: await getFollowerIds(author._id) },
+    muted: { $ne: author._id }
+  }).distinct('_id');
+
+  eventStream.publish('tweet', tweet.toJSON(), {
+    recipients: [...followerIds, author._id]
+  });
+}
+
+// Helper function to push updated counts to clients viewing a tweet
+async function publishTweetCounts(tweet) {
+  eventStream.publish('tweet:counts', {
+    tweetId: tweet._id,
+    likesCount: tweet.likesCount,
+    retweetsCount: tweet.retweetsCount,
+    commentsCount: tweet.repliesCount,
+    quotesCount: tweet.quotesCount
+  }, { tweetId: tweet._id });
+}
+
+// Helper function to push an edited tweet to clients viewing it
+function publishTweetEdit(tweet) {
+  eventStream.publish('tweet:edit', {
+    tweetId: tweet._id,
+    content: tweet.content,
+    media: tweet.media,
+    entities: tweet.entities,
+    editedAt: tweet.editedAt
+  }, { tweetId: tweet._id });
+}
+
+// Helper function to add user interaction info to tweets. Whether the
+// user liked, retweeted or bookmarked them is looked up for the whole
+// page at once.
+async function addUserInteractionInfo(tweets, user) {
+  // Retweet entries carry the interaction info of the original tweet
+  const isRetweetEntry = tweet => Boolean(tweet.retweetData && tweet.retweetData.user);
+  const tweetIds = tweets.map(tweet => (isRetweetEntry(tweet) ? tweet.retweetData : tweet)._id);
+
+  const [likedIds, retweetedIds, bookmarkedIds] = (await Promise.all([
+    Like.find({ user: user._id, tweet: { $in: tweetIds } }).distinct('tweet'),
+    Tweet.find({ user: user._id, retweetData: { $in: tweetIds } }).distinct('retweetData'),
+    Bookmark.find({ user: user._id, tweet: { $in: tweetIds } }).distinct('tweet')
+  ])).map(ids => new Set(ids.map(id => id.toString())));
+
+  const withInfo = tweet => {
+    const tweetObj = tweet.toJSON ? tweet.toJSON() : tweet;
+    const id = tweet._id.toString();
+
+    // Add replyToUser if it's a reply
+    let replyToUser = null;
+    if (tweet.replyTo && tweet.replyTo.user) {
+      replyToUser = {
+        _id: tweet.replyTo.user._id,
+        name: tweet.replyTo.user.name,
+        username: tweet.replyTo.user.username
+      };
+    }
+
+    return {
+      ...tweetObj,
+      isLiked: likedIds.has(id),
+      isRetweeted: retweetedIds.has(id),
+      isBookmarked: bookmarkedIds.has(id),
+      commentsCount: tweet.repliesCount,
+      replyToUser
+    };
+  };
+
+  return tweets.map(tweet => {
+    if (isRetweetEntry(tweet)) {
+      const tweetObj = tweet.toJSON ? tweet.toJSON() : tweet;
+      return {
+        ...tweetObj,
+        retweetData: withInfo(tweet.retweetData)
+      };
+    }
+    return withInfo(tweet);
+  });
+}
+
+// Helper function to attach the rest of each self-thread to its first tweet
+// as `threadTweets`, so a thread can be shown as one unit
+async function addThreadTweets(tweets, user) {
+  const rootIds = tweets
+    .filter(tweet => tweet.thread && tweet.thread.position === 0 && tweet.thread.count > 1)
+    .map(tweet => tweet._id);
+
+  if (!rootIds.length) {
+    return tweets;
+  }
+
+  const parts = await addUserInteractionInfo(
+    await Tweet.find({
+      'thread.root': { $in: rootIds },
+      'thread.position': { $gt: 0 }
+    })
+      .setOptions({ viewer: user._id })
+      .populate(tweetPopulate)
+      .sort({ 'thread.position': 1 }),
+    user
+  );
+
+  const partsByRoot = new Map(rootIds.map(id => [id.toString(), []]));
+  parts.forEach(part => partsByRoot.get(part.thread.root.toString()).push(part));
+
+  return tweets.map(tweet => {
+    const threadTweets = partsByRoot.get(tweet._id.toString());
+    return threadTweets ? { ...tweet, threadTweets } : tweet;
+  });
+}
+
+module.exports = {
+  userFields,
+  tweetPopulate,
+  findOriginalTweet,
+  findTimelinePage,
+  removeTweet,
+  updateParentCounts,
+  likeTweet,
+  unlikeTweet,
+  retweetTweet,
+  unretweetTweet,
+  updateAuthorVisibility,
+  updateAuthorProtection,
+  publishNewTweet,
+  publishTweetCounts,
+  publishTweetEdit,
+  addUserInteractionInfo,
+  addThreadTweets
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { hashToken } = require('./tokens');
+
+// TOTP (RFC 6238) as used by authenticator apps: 6 digits, 30 second steps
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Codes from one step either side are accepted, for clock drift
+const DRIFT_STEPS = 1;
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Chirp';
+const RECOVERY_CODE_COUNT = 10;
+
+// Time a user has to enter their code after their password
+const CHALLENGE_TTL = '5m';
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    value = ((value << 5) | BASE32.indexOf(char)) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// The HOTP code for a counter (RFC 4226)
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return code.toString().padStart(DIGITS, '0');
+}
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// The time step a TOTP code belongs to, or null if it isn't valid now
+function findTotpStep(secret, code) {
+  const candidate = Buffer.from(String(code));
+  const step = currentStep();
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const expected = Buffer.from(hotp(secret, step + drift));
+    if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+      return step + drift;
+    }
+  }
+  return null;
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// The otpauth:// URI authenticator apps read from a QR code
+function provisioningUri(user, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${user.username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// Recovery codes look like `a1b2c3d4-e5f6a7b8`; only their hashes are kept
+const normalizeRecoveryCode = code => String(code).trim().toLowerCase().replace(/\s+/g, '');
+
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(8).toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8)}`;
+  });
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(code))
+  };
+}
+
+// Check a TOTP code against `secret` without using it up
+function verifyTotp(secret, code) {
+  return findTotpStep(secret, code) !== null;
+}
+
+// Check a second-factor code for a user with 2FA enabled and use it up:
+// a TOTP code can't be used twice, and each recovery code works once.
+// Returns 'totp' or 'recovery_code' for the kind of code used, or null.
+async function useTwoFactorCode(user, code) {
+  if (!code) {
+    return null;
+  }
+
+  const step = findTotpStep(user.twoFactor.secret, code);
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount ? 'totp' : null;
+  }
+
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hashToken(normalizeRecoveryCode(code)) },
+    { $pull: { 'twoFactor.recoveryCodes': hashToken(normalizeRecoveryCode(code)) } }
+  );
+  return result.modifiedCount ? 'recovery_code' : null;
+}
+
+// A short-lived token standing for "password checked, code still needed",
+// exchanged at POST /api/users/login/2fa
+function signTwoFactorChallenge(user) {
+  return jwt.sign(
+    { id: user.id, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+}
+
+// The user id in a challenge token, or null if it isn't valid
+function verifyTwoFactorChallenge(token) {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  generateSecret,
+  provisioningUri,
+  generateRecoveryCodes,
+  verifyTotp,
+  useTwoFactorCode,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge
+};
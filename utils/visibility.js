@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const { getFollowingIds, isFollowing, getFollowedIds } = require('./follows');
+
+const includesId = (ids, id) => ids.some(other => other.toString() === id.toString());
+
+// Users the viewer has blocked, plus users who have blocked the viewer.
+// Suspended, banned and deactivated users are hidden from everyone by the
+// queries themselves (see User.activeCriteria and Tweet.authorInactiveUntil).
+async function getBlockedUserIds(viewer) {
+  const blockedBy = await User.find({ blocked: viewer._id }).distinct('_id');
+  return [...viewer.blocked, ...blockedBy];
+}
+
+// Users whose content should not be shown to the viewer
+async function getHiddenUserIds(viewer) {
+  const blockedIds = await getBlockedUserIds(viewer);
+  return [...blockedIds, ...viewer.muted];
+}
+
+// What the viewer may see of other users' tweets: nothing by `hiddenIds`
+// (blocked and muted users unless given), and tweets of protected accounts
+// only by `followingIds` (the accounts they follow, and themselves)
+async function getTweetVisibility(viewer, { hiddenIds } = {}) {
+  const [defaultHiddenIds, followingIds] = await Promise.all([
+    hiddenIds ? null : getHiddenUserIds(viewer),
+    getFollowingIds(viewer._id)
+  ]);
+  return {
+    hiddenIds: hiddenIds || defaultHiddenIds,
+    followingIds: [...followingIds, viewer._id]
+  };
+}
+
+// Add the author rules of a tweet visibility to tweet query criteria.
+// Protected tweets are matched by Tweet.authorProtected, so the query
+// never lists every protected account.
+function withVisibleAuthors(criteria, { hiddenIds, followingIds }) {
+  return {
+    ...criteria,
+    $and: [
+      ...(criteria.$and || []),
+      { user: { $nin: hiddenIds } },
+      { $or: [{ authorProtected: { $ne: true } }, { user: { $in: followingIds } }] }
+    ]
+  };
+}
+
+// Check whether a tweet visibility leaves out a (populated) author
+function isHiddenAuthor(author, { hiddenIds, followingIds }) {
+  return includesId(hiddenIds, author._id) ||
+    (Boolean(author.protected) && !includesId(followingIds, author._id));
+}
+
+// Check whether the viewer may see a user's tweets
+async function canViewTweetsOf(viewer, author) {
+  return !author.protected ||
+    author._id.toString() === viewer._id.toString() ||
+    isFollowing(viewer._id, author._id);
+}
+
+// Load a tweet author if the viewer may see and interact with their tweets
+// (no block in either direction, and followed if protected), else null
+async function getAccessibleAuthor(viewer, authorId) {
+  const author = await User.findById(authorId).select('protected blocked suspendedUntil bannedAt deactivatedAt');
+  if (
+    !author ||
+    author.isInactive() ||
+    includesId(viewer.blocked, author._id) ||
+    includesId(author.blocked, viewer._id) ||
+    !(await canViewTweetsOf(viewer, author))
+  ) {
+    return null;
+  }
+  return author;
+}
+
+// Which of `tweetIds` the viewer may see, as strings: the same rules as
+// GET /api/tweets/:id, checked for all of them at once
+async function getVisibleTweetIds(viewer, tweetIds) {
+  const tweets = await Tweet.find({ _id: { $in: tweetIds.filter(id => mongoose.isValidObjectId(id)) } })
+    .setOptions({ viewer: viewer._id })
+    .select('user')
+    .populate('user', 'protected blocked');
+
+  const authors = tweets.map(tweet => tweet.user).filter(Boolean);
+  const followedIds = await getFollowedIds(
+    viewer._id,
+    authors.filter(author => author.protected).map(author => author._id)
+  );
+
+  return tweets.filter(({ user: author }) =>
+    author &&
+    !includesId(viewer.blocked, author._id) &&
+    !includesId(author.blocked, viewer._id) &&
+    (!author.protected || author._id.equals(viewer._id) || followedIds.has(author._id.toString()))
+  ).map(tweet => tweet._id.toString());
+}
+
+// Check whether either user has blocked the other, or the other user is
+// suspended, banned or deactivated
+async function isBlockedBetween(viewer, otherId) {
+  if (includesId(viewer.blocked, otherId)) {
+    return true;
+  }
+  return Boolean(await User.exists({
+    _id: otherId,
+    $or: [{ blocked: viewer._id }, User.inactiveCriteria()]
+  }));
+}
+
+// Drop retweets of hidden authors and blank out quotes of hidden authors'
+// tweets, by a tweet visibility (see getTweetVisibility); the tweets
+// themselves are already filtered by query. Retweets whose original didn't
+// populate (deleted, or hidden by a moderator) are dropped too.
+function filterHiddenTweets(tweets, visibility) {
+  const isHidden = tweet => tweet && tweet.user && isHiddenAuthor(tweet.user, visibility);
+
+  return tweets.filter(tweet => tweet.retweetData !== null && !isHidden(tweet.retweetData)).map(tweet => {
+    if (isHidden(tweet.quoteTweet)) {
+      tweet.quoteTweet = null;
+    }
+    return tweet;
+  });
+}
+
+module.exports = {
+  includesId,
+  getBlockedUserIds,
+  getHiddenUserIds,
+  getTweetVisibility,
+  withVisibleAuthors,
+  isHiddenAuthor,
+  canViewTweetsOf,
+  getAccessibleAuthor,
+  getVisibleTweetIds,
+  isBlockedBetween,
+  filterHiddenTweets
+};